@@ -0,0 +1,330 @@
+/**
+ * Sound
+ *
+ * Procedural WebAudio layer - every sound is synthesized, no sample files:
+ *   energy tone    sine that rises and swells with the energy level
+ *   ramp sting     quick arpeggio when RAMPED is entered, higher for each overcharge stage
+ *   timing cue     short blip when the energy bar enters the perfect timing window
+ *   settle click   filtered noise tick when a roll lands
+ *   tier chimes    one per loot cube, higher and longer for rarer tiers
+ *   thuds          cubes hitting the floor, louder the harder they land
+ *
+ * Browsers only allow audio after a user gesture, so the AudioContext is created on
+ * the first pointer or key press. Volume and mute persist; under prefers-reduced-motion
+ * the layer stays silent until the user turns sound on explicitly.
+ */
+
+import { getTierCount } from './tiers.js';
+import { pageStorage } from './shared.js';
+
+const AUDIO_SETTINGS_KEY = 'audio-settings';
+const AUDIO_SETTINGS_VERSION = 1;
+const DEFAULT_VOLUME = 0.6;
+
+// Energy tone
+const ENERGY_LOW_HZ = 110;
+const ENERGY_HIGH_HZ = 440;
+const ENERGY_GAIN = 0.08;
+const ENERGY_GLIDE_S = 0.04;          // Smoothing for pitch and swell changes
+
+// Ramp sting (C major arpeggio)
+const STING_NOTES_HZ = [523.25, 659.25, 783.99, 1046.5];
+const STING_NOTE_GAP_S = 0.05;
+const STING_STAGE_STEP = 5;           // Semitones higher per overcharge stage
+
+// Timing cue
+const TIMING_CUE_HZ = 1760;
+
+// Tier chimes - pentatonic steps above the base, rarest tier highest
+const CHIME_BASE_HZ = 392;
+const PENTATONIC_STEPS = [0, 2, 4, 7, 9];
+
+// Floor thuds
+const THUD_MIN_VELOCITY = 0.8;        // Physics units/s - softer landings are silent
+const THUD_FULL_VELOCITY = 10;        // Impact speed that plays at full loudness
+const THUD_MIN_GAP_S = 0.03;          // A big drop lands as a patter, not one loud hit
+
+// Every instance plays through one context (browsers cap how many a page may open)
+let context = null;
+let noiseBuffer = null;
+
+function getContext() {
+  if (!context) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+  }
+  if (context.state === 'suspended') context.resume();
+  return context;
+}
+
+// Half a second of white noise, shared by every click
+function getNoiseBuffer(ctx) {
+  if (!noiseBuffer) {
+    noiseBuffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate / 2), ctx.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  }
+  return noiseBuffer;
+}
+
+function semitones(hz, steps) {
+  return hz * 2 ** (steps / 12);
+}
+
+/**
+ * Create the sound layer and wire up its controls
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.toggle - Sound on/off button (aria-pressed)
+ * @param {HTMLInputElement} elements.volume - Volume slider, 0-100
+ * @param {object} [options]
+ * @param {string} [options.storagePrefix] - Prefix for the saved volume and mute setting
+ * @param {object} [options.storage] - Where to save (localStorage by default, see shared.js)
+ */
+export function createAudio({ toggle, volume }, { storagePrefix = '', storage = pageStorage } = {}) {
+  const storageKey = storagePrefix + AUDIO_SETTINGS_KEY;
+  const controller = new AbortController();
+  const { signal } = controller;
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+  // State
+  let settings = { volume: DEFAULT_VOLUME, muted: false, reducedMotionOptIn: false };
+  let master = null;        // Master gain node, created with the context
+  let energyOsc = null;
+  let energyGain = null;
+  let lastThudAt = 0;
+
+  try {
+    const data = JSON.parse(storage.getItem(storageKey));
+    if (data && data.version === AUDIO_SETTINGS_VERSION) {
+      settings = {
+        volume: Number.isFinite(data.volume) ? Math.min(Math.max(data.volume, 0), 1) : DEFAULT_VOLUME,
+        muted: data.muted === true,
+        reducedMotionOptIn: data.reducedMotionOptIn === true
+      };
+    }
+  } catch (e) {
+    // Unavailable storage or corrupt JSON - keep the defaults
+  }
+
+  function isEnabled() {
+    return !settings.muted && (!reducedMotion.matches || settings.reducedMotionOptIn);
+  }
+
+  // Creates the context on a user gesture; sounds before that are skipped
+  function unlock() {
+    if (master || !isEnabled()) return;
+    const ctx = getContext();
+    if (!ctx) return;
+    master = ctx.createGain();
+    master.gain.value = settings.volume;
+    master.connect(ctx.destination);
+  }
+
+  // Context and master gain, or null while sound is off or still locked
+  function output() {
+    if (!master || !isEnabled()) return null;
+    return { ctx: master.context, out: master };
+  }
+
+  function stopEnergyTone() {
+    if (!energyOsc) return;
+    energyOsc.stop();
+    energyOsc = null;
+    energyGain = null;
+  }
+
+  function applySettings() {
+    const enabled = isEnabled();
+    if (master) {
+      master.gain.setTargetAtTime(enabled ? settings.volume : 0, master.context.currentTime, ENERGY_GLIDE_S);
+    }
+    // setEnergyLevel stops following the bar while sound is off - drop the tone so
+    // turning sound back on doesn't resume its old pitch
+    if (!enabled) stopEnergyTone();
+
+    toggle.setAttribute('aria-pressed', String(enabled));
+    toggle.textContent = enabled ? 'sound on' : 'sound off';
+    toggle.title = !enabled && !settings.muted
+      ? 'Sound is off because reduced motion is on - click to turn it on anyway'
+      : '';
+    volume.value = Math.round(settings.volume * 100);
+    volume.disabled = !enabled;
+  }
+
+  function save() {
+    try {
+      storage.setItem(storageKey, JSON.stringify({ version: AUDIO_SETTINGS_VERSION, ...settings }));
+    } catch (e) {
+      // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+    }
+  }
+
+  /**
+   * Turn sound on or off. Turning it on under reduced motion counts as opting in.
+   * @param {boolean} enabled
+   */
+  function setEnabled(enabled) {
+    settings.muted = !enabled;
+    if (enabled && reducedMotion.matches) settings.reducedMotionOptIn = true;
+    save();
+    applySettings();
+    if (enabled) unlock();
+  }
+
+  /**
+   * @param {number} level - Master volume, 0..1
+   */
+  function setVolume(level) {
+    settings.volume = Math.min(Math.max(level, 0), 1);
+    save();
+    applySettings();
+  }
+
+  // One enveloped oscillator note
+  function playTone(ctx, out, { type = 'sine', frequency, start, attack = 0.005, decay, gain }) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    env.gain.setValueAtTime(0, start);
+    env.gain.linearRampToValueAtTime(gain, start + attack);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + attack + decay);
+    osc.connect(env).connect(out);
+    osc.start(start);
+    osc.stop(start + attack + decay + 0.05);
+    return osc;
+  }
+
+  /**
+   * Follow the energy bar: silent at 0, rising in pitch and volume up to a full charge
+   * @param {number} level - Energy, 0..1
+   */
+  function setEnergyLevel(level) {
+    const audio = output();
+    if (!audio) return;
+    const { ctx, out } = audio;
+
+    if (!energyOsc) {
+      if (level <= 0) return;
+      energyOsc = ctx.createOscillator();
+      energyGain = ctx.createGain();
+      energyOsc.type = 'sine';
+      energyGain.gain.value = 0;
+      energyOsc.connect(energyGain).connect(out);
+      energyOsc.start();
+    }
+
+    const now = ctx.currentTime;
+    energyOsc.frequency.setTargetAtTime(ENERGY_LOW_HZ * (ENERGY_HIGH_HZ / ENERGY_LOW_HZ) ** level, now, ENERGY_GLIDE_S);
+    energyGain.gain.setTargetAtTime(level > 0 ? ENERGY_GAIN * (0.3 + 0.7 * level) : 0, now, ENERGY_GLIDE_S);
+  }
+
+  /**
+   * @param {number} [stage] - Overcharge stage (each one plays the sting higher)
+   */
+  function playRampSting(stage = 1) {
+    const audio = output();
+    if (!audio) return;
+    const { ctx, out } = audio;
+    STING_NOTES_HZ.forEach((note, i) => {
+      const frequency = semitones(note, (stage - 1) * STING_STAGE_STEP);
+      playTone(ctx, out, { type: 'triangle', frequency, start: ctx.currentTime + i * STING_NOTE_GAP_S, decay: 0.25, gain: 0.12 });
+    });
+  }
+
+  // Marks the moment to release - the window can be played by ear, not only by eye
+  function playTimingCue() {
+    const audio = output();
+    if (!audio) return;
+    const { ctx, out } = audio;
+    playTone(ctx, out, { type: 'square', frequency: TIMING_CUE_HZ, start: ctx.currentTime, decay: 0.05, gain: 0.04 });
+  }
+
+  function playSettleClick() {
+    const audio = output();
+    if (!audio) return;
+    const { ctx, out } = audio;
+    const start = ctx.currentTime;
+
+    const noise = ctx.createBufferSource();
+    noise.buffer = getNoiseBuffer(ctx);
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 2000;
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.25, start);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + 0.04);
+    noise.connect(filter).connect(env).connect(out);
+    noise.start(start);
+    noise.stop(start + 0.05);
+  }
+
+  /**
+   * @param {number} tier - Loot tier (1 = rarest)
+   */
+  function playChime(tier) {
+    const audio = output();
+    if (!audio) return;
+    const { ctx, out } = audio;
+
+    // 0 for the most common tier up to tierCount - 1 for the rarest
+    const rank = Math.max(0, getTierCount() - tier);
+    const octave = Math.floor(rank / PENTATONIC_STEPS.length);
+    const frequency = semitones(CHIME_BASE_HZ, octave * 12 + PENTATONIC_STEPS[rank % PENTATONIC_STEPS.length]);
+    const decay = 0.2 + rank * 0.08;
+    const start = ctx.currentTime;
+
+    playTone(ctx, out, { frequency, start, decay, gain: 0.1 });
+    // Rarer tiers ring with an octave partial
+    if (rank >= 3) playTone(ctx, out, { frequency: frequency * 2, start, decay: decay * 0.7, gain: 0.04 });
+  }
+
+  /**
+   * @param {number} velocity - Impact speed in physics units/s
+   */
+  function playThud(velocity) {
+    const audio = output();
+    if (!audio || velocity < THUD_MIN_VELOCITY) return;
+    const { ctx, out } = audio;
+    const start = ctx.currentTime;
+    if (start - lastThudAt < THUD_MIN_GAP_S) return;
+    lastThudAt = start;
+
+    const strength = Math.min(velocity / THUD_FULL_VELOCITY, 1);
+    const osc = playTone(ctx, out, { frequency: 90, start, attack: 0.002, decay: 0.12, gain: 0.3 * strength });
+    osc.frequency.exponentialRampToValueAtTime(45, start + 0.12);
+  }
+
+  toggle.addEventListener('click', () => setEnabled(!isEnabled()), { signal });
+  volume.addEventListener('input', () => setVolume(Number(volume.value) / 100), { signal });
+  reducedMotion.addEventListener('change', applySettings, { signal });
+  document.addEventListener('pointerdown', unlock, { signal });
+  document.addEventListener('keydown', unlock, { signal });
+
+  applySettings();
+
+  return {
+    setEnergyLevel,
+    playRampSting,
+    playTimingCue,
+    playSettleClick,
+    playChime,
+    playThud,
+    setEnabled,
+    setVolume,
+    isEnabled,
+
+    /**
+     * Stop listening and silence this instance (the shared context stays open)
+     */
+    destroy() {
+      controller.abort();
+      stopEnergyTone();
+      if (master) {
+        master.disconnect();
+        master = null;
+      }
+    }
+  };
+}
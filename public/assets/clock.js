@@ -0,0 +1,102 @@
+/**
+ * Simulation Clock
+ *
+ * Fixed-step time for everything that decides a roll or a drop: energy drain,
+ * hold repeats, the win sequence, loot staggering and physics all advance in
+ * TICK_MS steps from one loop. A session then depends only on which tick each
+ * input arrived on, which is what makes recordings replay exactly (see replay.js).
+ * Purely cosmetic effects (sparkles, settling wiggle, score hauls) keep real timers.
+ */
+
+export const TICK_MS = 1000 / 60;
+
+/**
+ * Create a simulation clock. Time only moves when advance() is called.
+ * @returns {{now: () => number, setTimeout: (callback: () => void, ms: number) => number,
+ *   setInterval: (callback: () => void, ms: number) => number, clearTimeout: (id: number) => void,
+ *   clearInterval: (id: number) => void, advance: (ms: number) => void,
+ *   hasTimers: () => boolean, reset: () => void}}
+ */
+export function createClock() {
+  // State
+  let time = 0;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, interval, callback }
+
+  function schedule(callback, ms, interval) {
+    const id = nextId++;
+    timers.set(id, { at: time + Math.max(0, ms), interval, callback });
+    return id;
+  }
+
+  function clear(id) {
+    timers.delete(id);
+  }
+
+  // Earliest due timer, ties broken by creation order (Map keeps insertion order)
+  function nextDue(until) {
+    let dueId = null;
+    let due = null;
+    timers.forEach((timer, id) => {
+      if (timer.at <= until && (due === null || timer.at < due.at)) {
+        dueId = id;
+        due = timer;
+      }
+    });
+    return dueId;
+  }
+
+  return {
+    now: () => time,
+
+    setTimeout: (callback, ms) => schedule(callback, ms, null),
+    setInterval: (callback, ms) => schedule(callback, ms, Math.max(TICK_MS, ms)),
+    clearTimeout: clear,
+    clearInterval: clear,
+
+    /**
+     * Move time forward, firing every timer that falls due in order
+     * @param {number} ms - Elapsed ms
+     */
+    advance(ms) {
+      const end = time + ms;
+      let id = nextDue(end);
+      while (id !== null) {
+        const timer = timers.get(id);
+        time = timer.at;
+        if (timer.interval === null) {
+          timers.delete(id);
+        } else {
+          // Re-added so a repeating timer queues behind ones created meanwhile
+          timers.delete(id);
+          timers.set(id, { ...timer, at: timer.at + timer.interval });
+        }
+        timer.callback();
+        id = nextDue(end);
+      }
+      time = end;
+    },
+
+    /** @returns {boolean} Whether any timer is still pending */
+    hasTimers: () => timers.size > 0,
+
+    /**
+     * Restart time from zero (only safe with no timers pending)
+     */
+    reset() {
+      time = 0;
+    }
+  };
+}
+
+/**
+ * Clock interface backed by the browser's own timers, for modules used without a
+ * simulation clock
+ */
+export const realClock = {
+  now: () => performance.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearTimeout: id => clearTimeout(id),
+  clearInterval: id => clearInterval(id)
+};
@@ -0,0 +1,1422 @@
+/**
+ * Dice Fidget
+ *
+ * A dice-based physics fidget with energy ramping and loot drops.
+ * Click/hold to build energy and roll the die. Fill the bar to ramp, then release while
+ * the sweeping timing window covers the bar for bonus loot.
+ *
+ * mountFidget() builds the whole fidget inside a container element and wires up its
+ * modules; every query is scoped to that container, so a page can mount several.
+ * Only the tier table is shared page-wide: each instance rolls from its own seeded
+ * RNG and keeps its own bad-luck counters.
+ *
+ * Rolls, drops and physics advance together in fixed ticks (clock.js), and every
+ * input that can change them goes through input(), so a session can be recorded
+ * and replayed exactly (replay.js).
+ */
+
+import { createParticles } from './particles.js';
+import { createLoot, getOverchargeLoot } from './loot.js';
+import { DEFAULT_MAX_BODIES, createPhysics } from './physics-host.js';
+import { createAnnouncer, createMemoryStorage, pageStorage } from './shared.js';
+import { createRng, randomSeed, readPageSeed } from './rng.js';
+import { createScore } from './score.js';
+import { loadTierTable, getTier, getZzzTier } from './tiers.js';
+import { createPity } from './pity.js';
+import { parseNotation, rollNotation, describeRoll, NotationError } from './notation.js';
+import { createPool } from './pool.js';
+import { getDieShape, isValidDieSize, MIN_DIE_SIDES, MAX_DIE_SIDES } from './shapes.js';
+import { createHistory } from './history.js';
+import { createGame, GameState, CriticalRoll, HIT_RESOLUTION_MS, TIMING_PERFECT_RANGE, TIMING_GOOD_RANGE } from './game.js';
+import { createHooks } from './hooks.js';
+import { createClock, TICK_MS } from './clock.js';
+import { createRecorder, createPlayback } from './replay.js';
+import { createGamepadInput } from './gamepad.js';
+import { createAudio } from './audio.js';
+import { getRuleset, readRuleset, rulesetStoragePrefix, DEFAULT_RULESET } from './rulesets.js';
+
+// Custom dice (sizes without a standard button), persisted between visits
+const CUSTOM_DICE_KEY = 'custom-dice';
+const MAX_CUSTOM_DICE = 2;             // Oldest is replaced - keeps the selector narrow
+
+// Win sequence timing
+const WIN_SELECTOR_DURATION_MS = 400;  // How long selector stays highlighted before reverting
+const WIN_LOOT_DELAY_MS = 950;         // Delay before loot flies to inventory
+const SETTLING_DURATION_MS = HIT_RESOLUTION_MS; // Settling wiggle runs for the whole win sequence
+const TRIGGER_CHARGE_RATE = 1.5;       // Energy ms added per ms at full trigger pull
+
+// Critical rolls
+const FUMBLE_SCATTER_FRACTION = 0.3;   // Share of the pile a fumble flings around
+
+// Release timing feedback (screen readers get the same words)
+const TIMING_MESSAGES = {
+  perfect: 'Perfect release',
+  good: 'Good release',
+  miss: 'Release missed the window'
+};
+
+// Simulation loop
+const MAX_TICKS_PER_FRAME = 4;         // Backlog past this is dropped (tab backgrounding)
+const MAX_REPLAY_SPEED = 8;
+
+const STANDARD_DICE = [4, 6, 8, 10, 12, 20, 100];
+const DEFAULT_DIE = 4;
+
+let instanceCount = 0;
+let sharedReady = null;
+
+// Page-wide setup, done once for however many instances get mounted. A failed load
+// isn't kept, so the next mount tries again.
+function initSharedState() {
+  sharedReady ??= loadTierTable().catch(error => {
+    sharedReady = null;
+    throw error;
+  });
+  return sharedReady;
+}
+
+/**
+ * Fidget markup. Elements are found through data-ref; ids only exist for ARIA
+ * links and carry the instance prefix so mounts don't collide.
+ * @param {string} uid - Unique instance prefix
+ * @returns {string}
+ */
+function renderMarkup(uid) {
+  const shape = getDieShape(DEFAULT_DIE);
+  const dieButtons = STANDARD_DICE.map(sides => {
+    const checked = sides === DEFAULT_DIE;
+    return `<button class="die-btn" role="radio" data-die="${sides}" aria-checked="${checked}" aria-label="${sides}-sided die">d${sides}</button>`;
+  }).join('\n          ');
+
+  return `
+    <div class="game-column">
+      <button
+        type="button"
+        class="die-container d4"
+        data-ref="dieContainer"
+        aria-label="Click or press Space/Enter to roll the die"
+      >
+        <div class="die-shape" aria-hidden="true">
+          <svg viewBox="${shape.viewBox}" data-ref="dieSvg" focusable="false">
+            ${shape.shape}
+          </svg>
+        </div>
+        <span class="die-result show" data-ref="result">${DEFAULT_DIE}</span>
+        <div class="die-pool" data-ref="pool" aria-hidden="true" hidden>
+          <div class="die-pool-dice" data-ref="poolDice"></div>
+          <span class="die-pool-total" data-ref="poolTotal"></span>
+        </div>
+      </button>
+
+      <nav class="dice-control" aria-label="Dice selection">
+        <div class="dice-selection" data-ref="diceSelection" role="radiogroup" aria-label="Choose die type">
+          <span class="timing-window" aria-hidden="true"></span>
+          <span class="timing-grade" data-ref="timingGrade" aria-hidden="true"></span>
+          ${dieButtons}
+        </div>
+        <div class="energy-label" data-ref="energyLabel" data-state="idle" aria-live="polite" aria-atomic="true">
+          <span class="state-item" data-state="idle">idle</span><span class="state-arrow">→</span><span class="state-item" data-state="ramping">ramping</span><span class="state-arrow">→</span><span class="state-item" data-state="ramped">ramped</span><span class="state-stage" data-ref="stageLabel"></span><span class="state-item state-outcome" data-state="loot-hit">loot!</span><span class="state-item state-outcome" data-state="loot-miss">try again.</span>
+        </div>
+        <form class="control-form" data-ref="customDieForm" autocomplete="off">
+          <label class="control-label" for="${uid}-customDieInput">custom d</label>
+          <input type="number" class="control-input" id="${uid}-customDieInput" data-ref="customDieInput" placeholder="7" min="${MIN_DIE_SIDES}" max="${MAX_DIE_SIDES}" step="1" inputmode="numeric" aria-describedby="${uid}-customDieError">
+          <button type="submit" class="control-submit">add</button>
+          <span class="control-error" id="${uid}-customDieError" data-ref="customDieError" aria-live="polite"></span>
+        </form>
+        <form class="control-form" data-ref="notationForm" autocomplete="off">
+          <input type="text" class="control-input" data-ref="notationInput" placeholder="3d6+2" aria-label="Dice notation, for example 3d6+2, 4d6kh3 or 2d6!" aria-describedby="${uid}-notationError" spellcheck="false" inputmode="text" maxlength="64">
+          <button type="submit" class="control-submit">roll</button>
+          <span class="control-error" id="${uid}-notationError" data-ref="notationError" aria-live="polite"></span>
+        </form>
+      </nav>
+
+      <div class="bucket-container" data-ref="bucket">
+        <div class="bucket-visual"></div>
+        <div class="bucket-meter" data-ref="bucketMeter" role="meter" aria-label="Bucket fill" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" hidden></div>
+        <div class="score-hud" data-ref="scoreHud" aria-hidden="true">
+          <span class="score-value" data-ref="scoreValue">0</span>
+          <span class="score-bests">best <span data-ref="scoreSessionBest">0</span> · all-time <span data-ref="scoreAllTimeBest">0</span></span>
+        </div>
+      </div>
+
+      <button type="button" class="pile-clear" data-ref="pileClear" hidden>clear pile</button>
+    </div>
+
+    <div class="sound-controls">
+      <button type="button" class="sound-toggle" data-ref="soundToggle" aria-pressed="false">sound off</button>
+      <input type="range" class="sound-volume" data-ref="soundVolume" min="0" max="100" step="5" aria-label="Sound volume">
+    </div>
+
+    <details class="history-panel" data-ref="historyPanel">
+      <summary>history <span class="history-count" data-ref="historyCount">0</span></summary>
+      <div class="history-body">
+        <table class="history-stats">
+          <caption class="sr-only">Per-die roll stats</caption>
+          <thead>
+            <tr><th scope="col">die</th><th scope="col">rolls</th><th scope="col">mean</th><th scope="col">hit rate</th><th scope="col">crit / fumble</th></tr>
+          </thead>
+          <tbody data-ref="historyStats"></tbody>
+        </table>
+        <ol class="history-list" data-ref="historyList" aria-label="Recent rolls, newest first"></ol>
+        <div class="history-actions">
+          <button type="button" data-ref="historyExportCsv">csv</button>
+          <button type="button" data-ref="historyExportJson">json</button>
+          <button type="button" data-ref="historyClear">clear</button>
+        </div>
+      </div>
+    </details>
+
+    <pre class="debug-panel" data-ref="pityDebug" hidden></pre>
+
+    <div class="sr-only" data-ref="announcements" role="status" aria-live="polite" aria-atomic="true"></div>
+
+    <canvas class="particle-canvas" data-ref="particleCanvas"></canvas>
+    <canvas class="physics-canvas" data-ref="physicsCanvas"></canvas>
+  `;
+}
+
+/**
+ * Build a fidget inside a container and start it
+ * @param {Element} container - Element to render into (its contents are replaced)
+ * @param {object} [options]
+ * @param {string} [options.storagePrefix] - Prefix for this instance's saved pile, history,
+ *   best score, bad-luck counters, custom dice and sound settings (give each extra
+ *   instance on a page its own)
+ * @param {string|object} [options.ruleset] - Ruleset id or object (rulesets.js); the pile,
+ *   history, best score and bad-luck counters are kept per ruleset
+ * @param {boolean} [options.documentKeys] - Also take Space/Enter/arrow keys while nothing is
+ *   focused (otherwise only while focus is inside the container)
+ * @param {string[]} [options.debug] - Debug views to show ('pity')
+ * @param {number} [options.maxBodies] - Cubes simulated before the oldest common ones are
+ *   packed into a tally (Infinity never packs); replays only match under the same budget
+ * @param {object|null} [options.replay] - Recording to play back (from parseRecording);
+ *   the instance ignores real input and keeps its pile, history, bests and bad-luck
+ *   counters in memory, never touching the saved ones
+ * @param {number} [options.replaySpeed] - Playback speed multiplier (1 = real time)
+ * @returns {Promise<object>} Instance: query (see hooks.js), startRecording, stopRecording,
+ *   isRecording, setReplaySpeed, replayDone (resolves once a replay has played out) and destroy
+ */
+export async function mountFidget(container, {
+  storagePrefix = '',
+  ruleset = DEFAULT_RULESET,
+  documentKeys = false,
+  debug = [],
+  maxBodies = DEFAULT_MAX_BODIES,
+  replay = null,
+  replaySpeed = 1
+} = {}) {
+  await initSharedState();
+
+  let rules = readRuleset(typeof ruleset === 'string' ? { id: ruleset } : ruleset);
+  if (!rules) {
+    console.warn('[fidget] Unknown ruleset, playing classic');
+    rules = getRuleset(DEFAULT_RULESET);
+  }
+
+  if (replay) {
+    rules = replay.start.ruleset;
+    const [width, height] = replay.viewport;
+    if (width !== window.innerWidth || height !== window.innerHeight) {
+      console.warn(`[fidget] Recorded at ${width}x${height}, replaying at ${window.innerWidth}x${window.innerHeight} - loot and the pile may drift`);
+    }
+  }
+
+  const uid = `fidget-${++instanceCount}`;
+  container.classList.add('fidget');
+  container.innerHTML = renderMarkup(uid);
+
+  const ref = name => container.querySelector(`[data-ref="${name}"]`);
+  const diceSelection = ref('diceSelection');
+  // Live list - custom dice add buttons at runtime
+  const dieButtons = diceSelection.getElementsByClassName('die-btn');
+  const dieContainer = ref('dieContainer');
+  const dieSvg = ref('dieSvg');
+  const resultDisplay = ref('result');
+  const energyLabel = ref('energyLabel');
+  const hitLabel = energyLabel.querySelector('.state-item[data-state="loot-hit"]');
+  const missLabel = energyLabel.querySelector('.state-item[data-state="loot-miss"]');
+  const stageLabel = ref('stageLabel');
+  const timingGrade = ref('timingGrade');
+  const pileClearButton = ref('pileClear');
+  const bucketElement = ref('bucket');
+  const bucketMeter = ref('bucketMeter');
+  const pityDebug = ref('pityDebug');
+  const notationForm = ref('notationForm');
+  const notationInput = ref('notationInput');
+  const notationError = ref('notationError');
+  const customDieForm = ref('customDieForm');
+  const customDieInput = ref('customDieInput');
+  const customDieError = ref('customDieError');
+  // A replay saves into memory that goes away with it
+  const storage = replay ? createMemoryStorage() : pageStorage;
+  const customDiceKey = storagePrefix + CUSTOM_DICE_KEY;
+  // Pile, history, bests and bad-luck counters are kept apart per ruleset so scores
+  // compare like with like
+  const rulesPrefix = storagePrefix + rulesetStoragePrefix(rules);
+
+  // Aborting removes the document/window listeners; the rest go away with the markup
+  const controller = new AbortController();
+  const { signal } = controller;
+  let unsubscribePity = null;
+
+  // Gameplay timers run on the simulation clock, advanced only by the tick loop
+  const clock = createClock();
+  // Every gameplay roll draws from this instance's own generator and bad-luck counters
+  const rng = createRng(replay ? replay.seed : readPageSeed());
+  const { random } = rng;
+  const pity = createPity({ storagePrefix: rulesPrefix, storage });
+  const announcer = createAnnouncer(ref('announcements'));
+  const { announce } = announcer;
+  // State, energy and roll resolution live in the DOM-free core (game.js);
+  // everything below renders its events and feeds it input
+  const game = createGame({ now: clock.now, random, die: replay ? replay.start.die : DEFAULT_DIE, rules });
+  const particles = createParticles(ref('particleCanvas'));
+  const { spawnParticles, spawnSparkles } = particles;
+  const { showPool, hidePool } = createPool({
+    dieContainer,
+    pool: ref('pool'),
+    poolDice: ref('poolDice'),
+    poolTotal: ref('poolTotal')
+  });
+  const score = createScore({
+    hud: ref('scoreHud'),
+    scoreValue: ref('scoreValue'),
+    sessionBestValue: ref('scoreSessionBest'),
+    allTimeBestValue: ref('scoreAllTimeBest')
+  }, { announce, storagePrefix: rulesPrefix, storage });
+  const history = createHistory({
+    panel: ref('historyPanel'),
+    statsBody: ref('historyStats'),
+    list: ref('historyList'),
+    countLabel: ref('historyCount'),
+    exportCsvButton: ref('historyExportCsv'),
+    exportJsonButton: ref('historyExportJson'),
+    clearButton: ref('historyClear')
+  }, { storagePrefix: rulesPrefix, storage });
+  const { recordRoll, setRollLoot } = history;
+  const audio = createAudio({ toggle: ref('soundToggle'), volume: ref('soundVolume') }, { storagePrefix, storage });
+
+  const physics = await createPhysics({
+    canvas: ref('physicsCanvas'),
+    bucket: ref('bucket'),
+    storagePrefix: rulesPrefix,
+    storage,
+    maxBodies,
+    random
+  });
+  if (!physics) {
+    console.warn('[fidget] Physics failed to initialize - loot cubes will not appear');
+  }
+  const loot = createLoot({
+    spawnCube: physics ? physics.spawnCube : () => {},
+    announce,
+    clock,
+    rules,
+    random,
+    pity
+  });
+  const { spawnLoot, spawnConsolationLoot } = loot;
+  const query = createHooks({ target: container, game, loot, physics });
+
+  /**
+   * Returns the currently selected die button element.
+   * @returns {Element|null} The selected die button, or null if none selected
+   */
+  function getSelectedDie() {
+    return diceSelection.querySelector('[data-die][aria-checked="true"]');
+  }
+
+  let holdInterval = null;
+  let customDiceAdded = 0; // Orders custom dice by when they were added
+  let sparkleInterval = null; // Interval for ramp sparkle effect
+  let settlingTimeout = null; // Timeout for settling effect duration
+  let settlingAnimationFrame = null; // Animation frame for settling effect
+  let lastRollEntry = null; // History entry of the latest roll, for attaching its loot
+
+  function updateVisuals({ from: prevState, to: newState }) {
+    const selectedBtn = getSelectedDie();
+    const lootResult = game.getLootResult();
+
+    // Map game state to energy label CSS state
+    let labelState;
+    if (newState === GameState.LOOT_RESOLUTION) {
+      labelState = lootResult === 'hit' ? 'loot-hit' : 'loot-miss';
+    } else if (newState === GameState.IDLE) {
+      labelState = 'idle';
+    } else if (newState === GameState.RAMPED) {
+      labelState = 'ramped';
+    } else {
+      labelState = 'ramping';
+    }
+    if (energyLabel) {
+      energyLabel.dataset.state = labelState;
+    }
+    renderStage(game.getStage());
+
+    // Ramped visual effects (sparkles, glow, d+1 label)
+    const showRampedEffects = newState === GameState.RAMPED;
+    diceSelection.classList.toggle('ramped', showRampedEffects);
+    if (selectedBtn) {
+      selectedBtn.classList.toggle('ramped', showRampedEffects);
+      // The core may already hold the next die while this button is still checked
+      const displayValue = showRampedEffects ? game.getRampedMax() : selectedBtn.dataset.die;
+      selectedBtn.textContent = `d${displayValue}`;
+      selectedBtn.setAttribute('aria-label', `${displayValue}-sided die`);
+    }
+
+    if (showRampedEffects) {
+      startSparkles();
+      // Spawn particles on ramp activation
+      if (selectedBtn && prevState === GameState.RAMPING) {
+        const rect = selectedBtn.getBoundingClientRect();
+        spawnParticles(rect.left + rect.width / 2, rect.top + rect.height / 2);
+      }
+    } else {
+      stopSparkles();
+    }
+
+    // Clear loot-resolution classes when leaving that state (adding is handled by runWinSequence)
+    if (newState !== GameState.LOOT_RESOLUTION) {
+      diceSelection.classList.remove('loot-resolution');
+      dieContainer.classList.remove('loot-resolution');
+    }
+
+    // Rolling animation
+    if (newState === GameState.RAMPING || newState === GameState.RAMPED) {
+      if (prevState === GameState.IDLE || prevState === GameState.LOOT_RESOLUTION) {
+        // Starting a new roll (from idle or interrupting a miss)
+        clearResult();
+        dieContainer.classList.remove('ramping');
+        void dieContainer.offsetWidth;
+        dieContainer.classList.add('ramping');
+      }
+    } else if (newState === GameState.IDLE || newState === GameState.LOOT_RESOLUTION) {
+      dieContainer.classList.remove('ramping');
+    }
+  }
+
+  // Overcharge stage on the label and the energy bar (stage 1 looks like a plain ramp)
+  function renderStage(stage) {
+    energyLabel.dataset.stage = stage;
+    diceSelection.dataset.stage = stage;
+    stageLabel.textContent = stage > 1 ? `+${stage}` : '';
+  }
+
+  function showOvercharge({ stage, rampedMax }) {
+    renderStage(stage);
+    const selectedBtn = getSelectedDie();
+    if (selectedBtn) {
+      selectedBtn.textContent = `d${rampedMax}`;
+      selectedBtn.setAttribute('aria-label', `${rampedMax}-sided die`);
+      const rect = selectedBtn.getBoundingClientRect();
+      spawnParticles(rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+    announce(`Overcharged to d${rampedMax}`);
+  }
+
+  // PERFECT / GOOD / MISS flash above the bar for a graded release
+  function showTiming({ grade }) {
+    timingGrade.dataset.grade = grade;
+    timingGrade.textContent = grade;
+    timingGrade.classList.remove('show');
+    void timingGrade.offsetWidth;
+    timingGrade.classList.add('show');
+    announce(TIMING_MESSAGES[grade]);
+  }
+
+  function startSparkles() {
+    if (sparkleInterval) return;
+    sparkleInterval = setInterval(() => {
+      const btn = getSelectedDie();
+      if (btn) {
+        const r = btn.getBoundingClientRect();
+        spawnSparkles(r.left + r.width / 2, r.top + r.height / 2);
+      }
+    }, 150);
+  }
+
+  function stopSparkles() {
+    if (sparkleInterval) {
+      clearInterval(sparkleInterval);
+      sparkleInterval = null;
+    }
+  }
+
+  function initDieButtons() {
+    Array.from(dieButtons).forEach(btn => {
+      btn.addEventListener('click', () => input('select', parseInt(btn.dataset.die, 10)));
+    });
+
+    let saved = [];
+    if (replay) {
+      saved = replay.start.customDice;
+    } else {
+      try {
+        saved = JSON.parse(storage.getItem(customDiceKey)) || [];
+      } catch (e) {
+        // Unavailable storage or corrupt JSON - no custom dice
+      }
+    }
+    if (Array.isArray(saved)) {
+      saved.slice(-MAX_CUSTOM_DICE).forEach(sides => {
+        if (isValidDieSize(sides)) addCustomDieButton(sides);
+      });
+    }
+
+    // Replays start on the recorded die (the markup starts on the default one)
+    const startButton = findDieButton(game.getDie());
+    if (startButton && startButton.getAttribute('aria-checked') !== 'true') {
+      markSelected(startButton);
+      resultDisplay.textContent = game.getDie();
+    }
+  }
+
+  function findDieButton(sides) {
+    return Array.from(dieButtons).find(btn => parseInt(btn.dataset.die, 10) === sides) || null;
+  }
+
+  function getCustomDice() {
+    return Array.from(dieButtons)
+      .filter(btn => btn.hasAttribute('data-custom'))
+      .sort((a, b) => Number(a.dataset.addedAt) - Number(b.dataset.addedAt))
+      .map(btn => parseInt(btn.dataset.die, 10));
+  }
+
+  function saveCustomDice() {
+    try {
+      storage.setItem(customDiceKey, JSON.stringify(getCustomDice()));
+    } catch (e) {
+      // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+    }
+  }
+
+  /**
+   * Add a radio button for a custom die size, keeping the group sorted by size.
+   * Replaces the oldest unselected custom die once MAX_CUSTOM_DICE is reached.
+   * @param {number} sides - Validated die size
+   * @returns {Element} The new button
+   */
+  function addCustomDieButton(sides) {
+    const customButtons = Array.from(dieButtons)
+      .filter(btn => btn.hasAttribute('data-custom') && btn.getAttribute('aria-checked') !== 'true')
+      .sort((a, b) => Number(a.dataset.addedAt) - Number(b.dataset.addedAt));
+    const customCount = Array.from(dieButtons).filter(btn => btn.hasAttribute('data-custom')).length;
+    if (customCount >= MAX_CUSTOM_DICE && customButtons.length > 0) {
+      customButtons[0].remove();
+    }
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'die-btn';
+    btn.setAttribute('role', 'radio');
+    btn.setAttribute('aria-checked', 'false');
+    btn.setAttribute('aria-label', `${sides}-sided die`);
+    btn.dataset.die = sides;
+    btn.dataset.custom = '';
+    btn.dataset.addedAt = ++customDiceAdded;
+    btn.textContent = `d${sides}`;
+    btn.addEventListener('click', () => input('select', sides));
+
+    const next = Array.from(dieButtons).find(other => parseInt(other.dataset.die, 10) > sides);
+    diceSelection.insertBefore(btn, next || null);
+    return btn;
+  }
+
+  function handleCustomDieSubmit(event) {
+    event.preventDefault();
+    const sides = Number(customDieInput.value);
+    input('custom', Number.isFinite(sides) ? sides : null);
+  }
+
+  function addCustomDie(sides) {
+    if (!isValidDieSize(sides)) {
+      showFormError(customDieInput, customDieError, `Pick a whole number from ${MIN_DIE_SIDES} to ${MAX_DIE_SIDES}`);
+      return;
+    }
+    if (!game.canAcceptInput()) {
+      showFormError(customDieInput, customDieError, 'Finish the current roll first');
+      return;
+    }
+
+    showFormError(customDieInput, customDieError, '');
+    customDieInput.value = '';
+
+    let btn = findDieButton(sides);
+    if (!btn) {
+      btn = addCustomDieButton(sides);
+      saveCustomDice();
+      // Buttons shifted - keep the indicator under the selected die
+      initIndicator();
+    }
+    selectDie(btn);
+  }
+
+  let isDraggingDice = false;
+  let hasDraggedSinceDiceDown = false;
+  let lastArrowKeyTime = 0;
+  let keyHoldInterval = null;
+
+  function handleDicePointerDown(event) {
+    if (!game.canAcceptInput()) return;
+    diceSelection.setPointerCapture(event.pointerId);
+    input('dicedown');
+  }
+
+  function startDiceDrag() {
+    isDraggingDice = true;
+    hasDraggedSinceDiceDown = false;
+  }
+
+  function findDieButtonAt(x) {
+    const containerRect = diceSelection.getBoundingClientRect();
+    const relativeX = x - containerRect.left;
+
+    // Return null if pointer is significantly outside the container bounds
+    const padding = 50;
+    if (x < containerRect.left - padding || x > containerRect.right + padding) {
+      return null;
+    }
+
+    let closestBtn = null;
+    let closestDist = Infinity;
+
+    Array.from(dieButtons).forEach(btn => {
+      const btnRect = btn.getBoundingClientRect();
+      const btnCenter = btnRect.left + btnRect.width / 2 - containerRect.left;
+      const dist = Math.abs(relativeX - btnCenter);
+      if (dist < closestDist) {
+        closestDist = dist;
+        closestBtn = btn;
+      }
+    });
+
+    return closestBtn;
+  }
+
+  function handleDicePointerMove(event) {
+    if (!isDraggingDice) return;
+
+    // Only the first move and moves onto another die change anything
+    const closestBtn = findDieButtonAt(event.clientX);
+    const isNewDie = closestBtn && closestBtn.getAttribute('aria-checked') !== 'true';
+    if (hasDraggedSinceDiceDown && !isNewDie) return;
+    input('dicemove', isNewDie ? parseInt(closestBtn.dataset.die, 10) : null);
+  }
+
+  function moveDiceDrag(sides) {
+    hasDraggedSinceDiceDown = true;
+    const closestBtn = sides === null ? null : findDieButton(sides);
+
+    if (closestBtn && closestBtn.getAttribute('aria-checked') !== 'true') {
+      selectDie(closestBtn);
+      game.addEnergy();
+    }
+  }
+
+  function endDiceDrag() {
+    isDraggingDice = false;
+    game.setHolding(false);
+    if (holdInterval) {
+      clock.clearInterval(holdInterval);
+      holdInterval = null;
+    }
+  }
+
+  function handleDicePointerUp(event) {
+    if (!isDraggingDice) return;
+
+    // A tap (no drag) rolls or selects the die under the pointer
+    const closestBtn = hasDraggedSinceDiceDown ? null : findDieButtonAt(event.clientX);
+    input('diceup', closestBtn ? parseInt(closestBtn.dataset.die, 10) : null);
+    diceSelection.releasePointerCapture(event.pointerId);
+  }
+
+  function releaseDiceDrag(sides) {
+    const wasDrag = hasDraggedSinceDiceDown;
+    endDiceDrag();
+
+    if (!game.canAcceptInput()) return;
+
+    if (!wasDrag && sides !== null) {
+      if (sides === game.getDie()) {
+        game.addEnergy();
+      } else {
+        selectDieBySides(sides);
+      }
+    }
+  }
+
+  function handleDiceLostCapture() {
+    if (isDraggingDice) input('dicecancel');
+  }
+
+  function updateIndicator(button) {
+    const containerRect = diceSelection.getBoundingClientRect();
+    const buttonRect = button.getBoundingClientRect();
+    const left = buttonRect.left - containerRect.left - 4; // 4px padding offset
+    const width = buttonRect.width;
+
+    diceSelection.style.setProperty('--indicator-left', `${left}px`);
+    diceSelection.style.setProperty('--indicator-width', `${width}px`);
+  }
+
+  function selectDie(selectedButton) {
+    const sides = parseInt(selectedButton.dataset.die, 10);
+    // The core rejects blocked input, invalid sizes and the die already selected
+    // (and kicks off a new roll when switching dice)
+    if (!game.selectDie(sides)) return;
+
+    markSelected(selectedButton);
+    selectedButton.blur(); // Clear focus to prevent outline conflict with spacebar/enter
+    announce(`Selected ${sides}-sided die`);
+  }
+
+  function selectDieBySides(sides) {
+    const btn = findDieButton(sides);
+    if (btn) selectDie(btn);
+  }
+
+  function markSelected(selectedButton) {
+    Array.from(dieButtons).forEach(btn => btn.setAttribute('aria-checked', 'false'));
+    selectedButton.setAttribute('aria-checked', 'true');
+    updateIndicator(selectedButton);
+    updateDieShape(parseInt(selectedButton.dataset.die, 10));
+  }
+
+  function updateDieShape(sides) {
+    const shape = getDieShape(sides);
+    dieSvg.setAttribute('viewBox', shape.viewBox);
+    dieSvg.innerHTML = shape.shape;
+    dieContainer.classList.toggle('d4', sides === 4);
+    dieContainer.classList.toggle('d100', sides === 100);
+  }
+
+  function clearResult() {
+    resultDisplay.classList.remove('show');
+    resultDisplay.textContent = '';
+    hidePool();
+    clearOutlineEffects();
+  }
+
+  // Tabletop pool rolls ("3d6+2") - shown in the die container, no energy or loot
+  function handleNotationSubmit(event) {
+    event.preventDefault();
+    input('notation', notationInput.value);
+  }
+
+  function rollNotationText(text) {
+    if (game.getState() !== GameState.IDLE) {
+      showFormError(notationInput, notationError, 'Finish the current roll first');
+      return;
+    }
+
+    let roll;
+    try {
+      roll = rollNotation(parseNotation(text), random);
+    } catch (error) {
+      if (!(error instanceof NotationError)) throw error;
+      showFormError(notationInput, notationError, error.message);
+      return;
+    }
+
+    showFormError(notationInput, notationError, '');
+    clearResult();
+    showPool(roll, getDieShape);
+    recordRoll({ die: roll.notation, effectiveMax: null, result: roll.total, outcome: null });
+
+    const description = describeRoll(roll);
+    dieContainer.setAttribute(
+      'aria-label',
+      `Rolled ${description}. Click or press Space/Enter to roll the die`
+    );
+    announce(`Rolled ${description}`);
+  }
+
+  function showFormError(input, errorElement, message) {
+    errorElement.textContent = message;
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  function clearOutlineEffects() {
+    if (settlingTimeout) {
+      clearTimeout(settlingTimeout);
+      settlingTimeout = null;
+    }
+    if (settlingAnimationFrame) {
+      cancelAnimationFrame(settlingAnimationFrame);
+      settlingAnimationFrame = null;
+    }
+    const secondaryOutline = container.querySelector('.die-shape svg.secondary-outline');
+    const whiteOutline = container.querySelector('.die-shape svg.white-outline');
+    if (secondaryOutline) secondaryOutline.remove();
+    if (whiteOutline) whiteOutline.remove();
+  }
+
+  function startSettlingAnimation(elements) {
+    const startTime = performance.now();
+    const startWiggle = 15;
+
+    function animate(now) {
+      const elapsed = now - startTime;
+      const progress = Math.min(elapsed / SETTLING_DURATION_MS, 1);
+      const wiggle = startWiggle * Math.pow(1 - progress, 2);
+
+      elements.forEach(svg => {
+        svg.style.setProperty('--wiggle-amount', `${wiggle}deg`);
+      });
+
+      if (progress < 1) {
+        settlingAnimationFrame = requestAnimationFrame(animate);
+      } else {
+        clearOutlineEffects();
+      }
+    }
+
+    settlingAnimationFrame = requestAnimationFrame(animate);
+  }
+
+  let renderedEnergyLevel = null;
+  let renderedTimingWindow = null;
+  let inPerfectWindow = false; // Whether the bar sat inside the perfect range last frame
+  // The window's size is fixed - only its centre moves
+  diceSelection.style.setProperty('--timing-perfect', TIMING_PERFECT_RANGE);
+  diceSelection.style.setProperty('--timing-good', TIMING_GOOD_RANGE);
+  let loopFrame = null;
+  let lastFrameTime = null;
+  let tickBacklog = 0; // Real ms (times the replay speed) not yet simulated
+  let tickCount = 0;   // Ticks since mount, or since the recording/replay started
+  let speed = replay ? Math.min(Math.max(replaySpeed, 1), MAX_REPLAY_SPEED) : 1;
+
+  // Runs whole simulation ticks for the time that passed, then draws the frame
+  function runGameLoop(time) {
+    gamepad.poll();
+    tickBacklog += (lastFrameTime === null ? 0 : time - lastFrameTime) * speed;
+    lastFrameTime = time;
+
+    let ticks = 0;
+    while (tickBacklog >= TICK_MS && ticks < MAX_TICKS_PER_FRAME * speed) {
+      runTick();
+      tickBacklog -= TICK_MS;
+      ticks++;
+    }
+    if (tickBacklog >= TICK_MS) tickBacklog = 0;
+
+    const level = game.getEnergyLevel();
+    if (level !== renderedEnergyLevel) {
+      renderedEnergyLevel = level;
+      diceSelection.style.setProperty('--energy-level', level);
+      audio.setEnergyLevel(level);
+    }
+    const timingWindow = game.getTimingWindow();
+    if (timingWindow !== renderedTimingWindow) {
+      renderedTimingWindow = timingWindow;
+      if (timingWindow !== null) diceSelection.style.setProperty('--timing-center', timingWindow);
+    }
+    // A tick as the bar enters the perfect range, so the window can be played by ear
+    const isPerfect = timingWindow !== null && Math.abs(level - timingWindow) <= TIMING_PERFECT_RANGE;
+    if (isPerfect && !inPerfectWindow) audio.playTimingCue();
+    inPerfectWindow = isPerfect;
+    if (physics) physics.render(tickBacklog / TICK_MS);
+    loopFrame = requestAnimationFrame(runGameLoop);
+  }
+
+  function runTick() {
+    sendPileDrags();
+    if (playback) {
+      playback.inputsAt(tickCount).forEach(([type, ...args]) => applyInput(type, ...args));
+      if (playback.isDone(tickCount)) {
+        playback = null;
+        resolveReplayDone();
+      }
+    }
+
+    clock.advance(TICK_MS);
+    if (triggerLevel > 0) game.addEnergy(triggerLevel * TRIGGER_CHARGE_RATE * TICK_MS);
+    game.tick(TICK_MS);
+    if (physics) physics.step();
+    tickCount++;
+  }
+
+  // Every input that can change a roll, a drop or the pile goes through here so it
+  // can be recorded. Replays ignore real input and apply the recorded inputs instead.
+  const inputHandlers = {
+    pointerdown: pressDie,
+    pointerup: releaseDie,
+    dicedown: startDiceDrag,
+    dicemove: moveDiceDrag,
+    diceup: releaseDiceDrag,
+    dicecancel: endDiceDrag,
+    keydown: pressKey,
+    keyup: releaseKey,
+    select: selectDieBySides,
+    custom: addCustomDie,
+    notation: rollNotationText,
+    clear: clearPile,
+    pulse: (x, y) => physics && physics.pulse(x, y),
+    grab: (id, x, y) => physics && physics.grab(id, x, y),
+    drag: (id, x, y) => physics && physics.drag(id, x, y),
+    release: id => physics && physics.release(id),
+    paddown: pressPadButton,
+    padup: releasePadButton,
+    padtrigger: setTriggerLevel,
+    rollend: () => game.completeRoll()
+  };
+
+  function input(type, ...args) {
+    if (replay) return;
+    if (recorder) recorder.record(tickCount, type, ...args);
+    applyInput(type, ...args);
+  }
+
+  function applyInput(type, ...args) {
+    inputHandlers[type](...args);
+  }
+
+  // Recordings and replays start from the same place: time, ticks and the
+  // physics world all restarted, the pile rebuilt from its snapshot
+  function resetSimulation(pile) {
+    clock.reset();
+    tickCount = 0;
+    lastArrowKeyTime = -Infinity;
+    if (physics) physics.loadSnapshot(pile);
+  }
+
+  let recorder = null;
+  let playback = null;
+  let resolveReplayDone = () => {};
+  const replayDone = replay ? new Promise(resolve => { resolveReplayDone = resolve; }) : null;
+
+  let startingRecording = false;
+
+  function canStartRecording() {
+    return !replay && !recorder && !startingRecording && !destroyed &&
+      game.getState() === GameState.IDLE && !game.isHolding() && !isDraggingDice && triggerLevel === 0 &&
+      pilePointers.size === 0 && !clock.hasTimers();
+  }
+
+  /**
+   * Start recording. Only from a quiet state - idle, nothing held, no drops in flight.
+   * The recording starts from the pile as it is now, so this waits for the physics
+   * worker to hand over an exact copy (and gives up if anything started meanwhile).
+   * @returns {Promise<boolean>} Whether recording started
+   */
+  async function startRecording() {
+    if (!canStartRecording()) return false;
+
+    startingRecording = true;
+    const pile = physics ? await physics.requestSnapshot() : { cubes: [] };
+    startingRecording = false;
+    if (!canStartRecording()) return false;
+
+    const start = {
+      seed: rng.setSeed(randomSeed()),
+      die: game.getDie(),
+      customDice: getCustomDice(),
+      pity: pity.getPityCounters(),
+      pile,
+      ruleset: rules,
+      viewport: [window.innerWidth, window.innerHeight]
+    };
+    resetSimulation(start.pile);
+    recorder = createRecorder(start);
+    return true;
+  }
+
+  /**
+   * Stop recording
+   * @returns {object|null} The recording, or null when not recording
+   */
+  function stopRecording() {
+    if (!recorder) return null;
+    const recording = recorder.finish(tickCount);
+    recorder = null;
+    return recording;
+  }
+
+  function startReplay() {
+    rng.setSeed(replay.seed);
+    pity.setPityCounters(replay.start.pity);
+    resetSimulation(replay.start.pile);
+    playback = createPlayback(replay);
+  }
+
+  // Orchestrates the win sequence after a loot hit
+  function runWinSequence(centerX, centerY, die, rollResult, stage, timing, crit, historyEntry) {
+    const stateGuard = () => game.getState() === GameState.LOOT_RESOLUTION && game.getLootResult() === 'hit';
+
+    // Immediate: Selector + die effects together
+    diceSelection.classList.add('loot-resolution');
+    dieContainer.classList.add('loot-resolution');
+    spawnParticles(centerX, centerY, crit ? 'crit' : 'burst');
+    if (hitLabel) hitLabel.textContent = crit ? 'crit!' : 'loot!';
+
+    const secondaryOutline = dieSvg.cloneNode(true);
+    secondaryOutline.classList.add('secondary-outline');
+    secondaryOutline.removeAttribute('id');
+    dieSvg.parentElement.appendChild(secondaryOutline);
+
+    const whiteOutline = dieSvg.cloneNode(true);
+    whiteOutline.classList.add('white-outline');
+    whiteOutline.removeAttribute('id');
+    dieSvg.parentElement.appendChild(whiteOutline);
+
+    startSettlingAnimation([dieSvg, secondaryOutline, whiteOutline]);
+
+    // Selector reverts quickly so focus shifts to die
+    clock.setTimeout(() => {
+      diceSelection.classList.remove('loot-resolution');
+    }, WIN_SELECTOR_DURATION_MS);
+
+    // Delayed: Loot flies to inventory
+    clock.setTimeout(() => {
+      if (!stateGuard()) return;
+      spawnLoot(die, rollResult, centerX, centerY, drops => setRollLoot(historyEntry, drops), stage, timing, crit);
+    }, WIN_LOOT_DELAY_MS);
+  }
+
+  function showRoll({ die, effectiveMax, result, outcome, critical }) {
+    resultDisplay.textContent = result;
+    resultDisplay.classList.add('show');
+
+    dieContainer.setAttribute(
+      'aria-label',
+      `Rolled ${result} on d${effectiveMax}. Click or press Space/Enter to roll again`
+    );
+    if (critical === CriticalRoll.CRIT) {
+      announce(`Critical! Rolled a natural ${result} on d${effectiveMax}`);
+    } else if (critical === CriticalRoll.FUMBLE) {
+      announce(`Fumble! Rolled a 1 on d${effectiveMax}`);
+    } else {
+      announce(`Rolled ${result} on d${effectiveMax}`);
+    }
+    audio.playSettleClick();
+
+    lastRollEntry = recordRoll({ die, effectiveMax, result, outcome, critical });
+  }
+
+  function showLoot({ outcome, die, result, stage, timing, critical }) {
+    const historyEntry = lastRollEntry;
+    const rect = dieContainer.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+
+    if (outcome === 'hit') {
+      runWinSequence(centerX, centerY, die, result, stage, timing, critical === CriticalRoll.CRIT, historyEntry);
+      return;
+    }
+
+    // Loot miss - consolation trash, the core returns to IDLE after the miss feedback.
+    // Overcharged misses forfeit it, and the top stage also costs part of the pile.
+    const consolation = spawnConsolationLoot(centerX, centerY, stage);
+    setRollLoot(historyEntry, consolation);
+    const { pileTax } = getOverchargeLoot(stage);
+    const taxing = pileTax > 0 && physics ? physics.taxPile(pileTax, random) : Promise.resolve([]);
+    // A fumble flings part of the pile around (after any tax, so only survivors fly)
+    const fumbled = critical === CriticalRoll.FUMBLE;
+    if (fumbled && physics) physics.scatterPile(FUMBLE_SCATTER_FRACTION, random);
+
+    // The tax result can come back from the physics worker a frame later
+    taxing.then(taxed => {
+      if (destroyed) return;
+      if (taxed.length > 0) {
+        announce(`Overcharge miss - lost ${taxed.length} ${taxed.length === 1 ? 'cube' : 'cubes'}`);
+      }
+
+      // Update miss text to show what dropped
+      if (missLabel) {
+        if (fumbled) {
+          missLabel.textContent = 'fumble. pile scattered.';
+        } else if (consolation.length === 0) {
+          missLabel.textContent = taxed.length > 0 ? 'try again. pile taxed.' : 'try again. nothing.';
+        } else {
+          const consolationType = Math.min(...consolation);
+          missLabel.textContent = consolationType === getZzzTier() ? 'try again. zzz.' : 'try again. just trash.';
+        }
+      }
+    });
+  }
+
+  function handlePointerDown(event) {
+    if (event.button && event.button !== 0) return;
+    if (!game.canAcceptInput()) return;
+
+    dieContainer.setPointerCapture(event.pointerId);
+    input('pointerdown');
+  }
+
+  function pressDie() {
+    // Guard against multiple calls (equivalent to keyboard's !event.repeat check)
+    if (game.isHolding()) return;
+
+    game.setHolding(true);
+    game.addEnergy();
+
+    holdInterval = clock.setInterval(() => {
+      if (game.isHolding()) {
+        game.addEnergy();
+      }
+    }, rules.holdIntervalMs);
+  }
+
+  function handlePointerUp(event) {
+    if (event.pointerId !== undefined) {
+      dieContainer.releasePointerCapture(event.pointerId);
+    }
+    // pointerup, pointercancel and lostpointercapture all land here - one release is enough
+    if (game.isHolding() || holdInterval) input('pointerup');
+  }
+
+  function releaseDie() {
+    game.setHolding(false);
+    if (holdInterval) {
+      clock.clearInterval(holdInterval);
+      holdInterval = null;
+    }
+  }
+
+  // Keys belong to this instance while focus is inside it, or - with documentKeys -
+  // while nothing in particular is focused
+  function ownsKeyboard() {
+    const active = document.activeElement;
+    if (active && active !== document.body) return container.contains(active);
+    return documentKeys;
+  }
+
+  // Held arrows repeat - at most one step per hold interval
+  function isThrottledRepeat(repeat) {
+    return repeat && clock.now() - lastArrowKeyTime < rules.holdIntervalMs;
+  }
+
+  function handleKeydown(event) {
+    // Leave typing keys (arrows, Space) to text fields like the notation input
+    if (event.target instanceof Element && event.target.closest('input, textarea')) return;
+    if (!ownsKeyboard()) return;
+
+    if (event.code === 'Space' || event.code === 'Enter') {
+      if (document.activeElement === document.body || document.activeElement === dieContainer) {
+        event.preventDefault();
+        if (!event.repeat) input('keydown', event.code, false);
+      }
+    }
+
+    if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+      event.preventDefault();
+
+      // Clear focus from die buttons to prevent focus-visible outline staying behind
+      if (document.activeElement && document.activeElement.classList.contains('die-btn')) {
+        document.activeElement.blur();
+      }
+
+      if (!isThrottledRepeat(event.repeat)) input('keydown', event.code, event.repeat);
+    }
+  }
+
+  function pressKey(code, repeat) {
+    if (code === 'Space' || code === 'Enter') {
+      if (!game.canAcceptInput()) return;
+
+      if (!repeat) {
+        game.setHolding(true);
+        game.addEnergy();
+        keyHoldInterval = clock.setInterval(() => {
+          game.addEnergy();
+        }, rules.holdIntervalMs);
+      }
+      return;
+    }
+
+    if (isThrottledRepeat(repeat)) return;
+    lastArrowKeyTime = clock.now();
+
+    game.setHolding(true);
+    if (!game.canAcceptInput()) return;
+    cycleDie(code === 'ArrowLeft' ? -1 : 1);
+  }
+
+  // Step the selection left (-1) or right (1), bumping at either end
+  function cycleDie(step) {
+    const currentIndex = Array.from(dieButtons).findIndex(btn => btn.getAttribute('aria-checked') === 'true');
+    if (currentIndex === -1) return;
+
+    const newIndex = currentIndex + step;
+
+    if (newIndex < 0 || newIndex >= dieButtons.length) {
+      diceSelection.classList.remove('bump-left', 'bump-right');
+      void diceSelection.offsetWidth;
+      diceSelection.classList.add(step < 0 ? 'bump-left' : 'bump-right');
+      game.addEnergy();
+      return;
+    }
+    selectDie(dieButtons[newIndex]);
+    game.addEnergy();
+  }
+
+  function handleKeyup(event) {
+    if (event.target instanceof Element && event.target.closest('input, textarea')) return;
+
+    if (['Space', 'Enter', 'ArrowLeft', 'ArrowRight'].includes(event.code)) {
+      input('keyup', event.code);
+    }
+  }
+
+  function releaseKey(code) {
+    game.setHolding(false);
+    if ((code === 'Space' || code === 'Enter') && keyHoldInterval) {
+      clock.clearInterval(keyHoldInterval);
+      keyHoldInterval = null;
+    }
+  }
+
+  // Gamepads follow the keyboard: they drive the instance that owns the keys.
+  // Releases always go through, so nothing stays held when focus moves away.
+  const heldPadButtons = new Set();
+  let padHoldInterval = null;
+  let triggerLevel = 0; // Right trigger, 0..1 - charges continuously while pulled
+  let triggerOwned = false;
+
+  const gamepad = createGamepadInput({
+    onButtonDown(button) {
+      if (!ownsKeyboard()) return;
+      heldPadButtons.add(button);
+      input('paddown', button);
+    },
+    onButtonUp(button) {
+      if (heldPadButtons.delete(button)) input('padup', button);
+    },
+    onTrigger(value) {
+      if (value > 0 && !triggerOwned && !ownsKeyboard()) return;
+      triggerOwned = value > 0;
+      input('padtrigger', value);
+    },
+    onConnectionChange(connected) {
+      if (ownsKeyboard()) announce(connected ? 'Gamepad connected' : 'Gamepad disconnected');
+    }
+  });
+
+  // Face button works like Space: press and hold to charge
+  function pressPadButton(button) {
+    if (button === 'press') {
+      if (!game.canAcceptInput() || padHoldInterval) return;
+      game.setHolding(true);
+      game.addEnergy();
+      padHoldInterval = clock.setInterval(() => {
+        game.addEnergy();
+      }, rules.holdIntervalMs);
+      return;
+    }
+
+    // Shoulders and d-pad cycle dice like the arrow keys
+    game.setHolding(true);
+    if (!game.canAcceptInput()) return;
+    cycleDie(button === 'prev' ? -1 : 1);
+  }
+
+  function releasePadButton(button) {
+    game.setHolding(false);
+    if (button === 'press' && padHoldInterval) {
+      clock.clearInterval(padHoldInterval);
+      padHoldInterval = null;
+    }
+  }
+
+  function setTriggerLevel(value) {
+    if ((value > 0) !== (triggerLevel > 0)) game.setHolding(value > 0);
+    triggerLevel = value;
+  }
+
+  // Pointers pressed on the page, each with where it has moved since the last tick
+  // (null: nowhere new). Moves go out once a tick so recordings stay small.
+  const pilePointers = new Map();
+
+  // Presses inside this fidget, away from its controls, pick up a cube or push the pile
+  // around; the pointer is then followed across the page until it lets go
+  function handlePagePointerDown(event) {
+    if (!physics || physics.getPile().count === 0) return;
+    if (event.target.closest('button, select, input, nav, dialog, details, [role="radio"]')) return;
+    pilePointers.set(event.pointerId, null);
+    input('grab', event.pointerId, Math.round(event.clientX), Math.round(event.clientY));
+  }
+
+  function handlePagePointerMove(event) {
+    if (!pilePointers.has(event.pointerId)) return;
+    pilePointers.set(event.pointerId, [Math.round(event.clientX), Math.round(event.clientY)]);
+  }
+
+  // pointerup and pointercancel both land here
+  function handlePagePointerUp(event) {
+    if (!pilePointers.has(event.pointerId)) return;
+    const moved = pilePointers.get(event.pointerId);
+    pilePointers.delete(event.pointerId);
+    if (moved) input('drag', event.pointerId, ...moved);
+    input('release', event.pointerId);
+  }
+
+  function sendPileDrags() {
+    pilePointers.forEach((moved, id) => {
+      if (!moved) return;
+      pilePointers.set(id, null);
+      input('drag', id, ...moved);
+    });
+  }
+
+  function initPileControls() {
+    if (!physics) return;
+
+    physics.onPileChange(handlePileChange);
+    handlePileChange(physics.getPile());
+    physics.onCubeFuse(({ tier, x, y }) => {
+      spawnParticles(x, y);
+      announce(`Fused into ${getTier(tier).name}!`);
+    });
+    pileClearButton.addEventListener('click', () => input('clear'));
+    bucketMeter.hidden = false;
+    physics.onBucketChange(handleBucketChange);
+    handleBucketChange(physics.getBucket());
+  }
+
+  function clearPile() {
+    if (!physics) return;
+    physics.clearPile();
+    announce('Loot pile cleared');
+  }
+
+  function handlePileChange({ count, points }) {
+    pileClearButton.hidden = count === 0;
+    score.updateScore(points);
+  }
+
+  // Fill can run past 100% once the pile heaps above the rim
+  function handleBucketChange({ fill, overflowing }) {
+    const percent = Math.round(fill * 100);
+    bucketMeter.style.setProperty('--fill', Math.min(fill, 1));
+    bucketMeter.setAttribute('aria-valuenow', Math.min(percent, 100));
+    bucketMeter.setAttribute('aria-valuetext', overflowing ? `${percent}% full, overflowing` : `${percent}% full`);
+    if (overflowing && !bucketElement.classList.contains('overflowing')) announce('Bucket overflowing!');
+    bucketElement.classList.toggle('overflowing', overflowing);
+  }
+
+  // Bad-luck protection debug view, enabled with debug: ['pity']
+  function initPityDebug() {
+    if (!debug.includes('pity')) return;
+
+    pityDebug.hidden = false;
+    const render = state => {
+      pityDebug.textContent = [
+        'bad-luck protection',
+        ...state.map(({ tier, rollsSince, bonus }) =>
+          `${getTier(tier).name.padEnd(9)} ${String(rollsSince).padStart(4)} rolls  +${bonus.toFixed(1)}%`)
+      ].join('\n');
+    };
+    render(pity.getPityState());
+    unsubscribePity = pity.onPityChange(render);
+  }
+
+  function initIndicator() {
+    const selected = getSelectedDie();
+    if (selected) {
+      updateIndicator(selected);
+      diceSelection.classList.add('indicator-ready');
+    }
+  }
+
+  function initSound() {
+    game.on('statechange', ({ to }) => {
+      if (to === GameState.RAMPED) audio.playRampSting();
+    });
+    game.on('overcharge', ({ stage }) => audio.playRampSting(stage));
+    loot.onLootDrop(({ tier }) => audio.playChime(tier));
+    if (physics) physics.onCubeImpact(({ velocity }) => audio.playThud(velocity));
+  }
+
+  // Handle animation cycle completion - fires exactly when animation reaches 100%
+  dieSvg.addEventListener('animationiteration', () => {
+    if (game.hasPendingRoll()) input('rollend');
+  });
+
+  initDieButtons();
+  if (replay) startReplay();
+  initPileControls();
+  initPityDebug();
+
+  game.on('statechange', updateVisuals);
+  game.on('roll', showRoll);
+  game.on('overcharge', showOvercharge);
+  game.on('timing', showTiming);
+  game.on('loot', showLoot);
+  initSound();
+  loopFrame = requestAnimationFrame(runGameLoop);
+
+  dieContainer.addEventListener('pointerdown', handlePointerDown);
+  dieContainer.addEventListener('pointerup', handlePointerUp);
+  dieContainer.addEventListener('pointercancel', handlePointerUp);
+  dieContainer.addEventListener('lostpointercapture', handlePointerUp);
+  diceSelection.addEventListener('pointerdown', handleDicePointerDown);
+  diceSelection.addEventListener('pointermove', handleDicePointerMove);
+  diceSelection.addEventListener('pointerup', handleDicePointerUp);
+  diceSelection.addEventListener('pointercancel', handleDiceLostCapture);
+  diceSelection.addEventListener('lostpointercapture', handleDiceLostCapture);
+  notationForm.addEventListener('submit', handleNotationSubmit);
+  notationInput.addEventListener('input', () => showFormError(notationInput, notationError, ''));
+  customDieForm.addEventListener('submit', handleCustomDieSubmit);
+  customDieInput.addEventListener('input', () => showFormError(customDieInput, customDieError, ''));
+  document.addEventListener('keydown', handleKeydown, { signal });
+  document.addEventListener('keyup', handleKeyup, { signal });
+  container.addEventListener('pointerdown', handlePagePointerDown, { signal });
+  document.addEventListener('pointermove', handlePagePointerMove, { signal });
+  document.addEventListener('pointerup', handlePagePointerUp, { signal });
+  document.addEventListener('pointercancel', handlePagePointerUp, { signal });
+  window.addEventListener('resize', initIndicator, { signal });
+
+  initIndicator();
+
+  let destroyed = false;
+
+  return {
+    query,
+    startRecording,
+    stopRecording,
+    replayDone,
+
+    /** @returns {boolean} Whether a recording is running */
+    isRecording: () => recorder !== null,
+
+    /**
+     * Change the playback speed of a replay
+     * @param {number} multiplier - 1 (real time) to MAX_REPLAY_SPEED
+     */
+    setReplaySpeed(multiplier) {
+      if (replay) speed = Math.min(Math.max(multiplier, 1), MAX_REPLAY_SPEED);
+    },
+
+    /**
+     * Tear the instance down: listeners, animation frames, timers, the Rapier
+     * world and the markup built by mountFidget. The saved pile and history stay.
+     */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+
+      controller.abort();
+      cancelAnimationFrame(loopFrame);
+      clearOutlineEffects();
+      stopSparkles();
+      if (unsubscribePity) unsubscribePity();
+
+      gamepad.destroy();
+      loot.destroy();
+      if (physics) physics.destroy();
+      particles.destroy();
+      score.destroy();
+      history.destroy();
+      audio.destroy();
+      announcer.destroy();
+
+      container.replaceChildren();
+      container.classList.remove('fidget');
+    }
+  };
+}
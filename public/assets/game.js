@@ -0,0 +1,375 @@
+/**
+ * Game Core
+ *
+ * The roll state machine without any DOM: selected die, energy, ramping and roll
+ * resolution. app.js feeds it input and animation frames and renders what it emits;
+ * Node scripts can drive it directly with their own clock and RNG.
+ *
+ *   IDLE -> RAMPING -> RAMPED -> LOOT_RESOLUTION -> IDLE
+ *             ^          |            | (miss: input allowed, interrupts back to RAMPING)
+ *             +----------+ (die change loses the +1)
+ *
+ * RAMPED has overcharge stages: charging past a full bar raises the die to d+2, d+3
+ * (up to the ruleset's maxStage). A hit is still any face above the die, but what a
+ * stage pays out and costs on a miss is up to the loot tables (loot.js).
+ *
+ * Energy amounts, drain rates and overcharge length come from a ruleset (rulesets.js).
+ *
+ * Release timing: while RAMPED a timing window sweeps up and down the energy bar.
+ * Every release (pointer, key, pad button or trigger) is graded against it - perfect,
+ * good or miss - and a new press clears the grade, so the release that lets the roll
+ * finish is the one that counts. The grade rides along on the loot event.
+ *
+ * Critical rolls: a ramped roll on the top face of the effective die is a crit (at
+ * plain d+1 that is every hit), and a ramped 1 is a fumble (always a miss). What they
+ * do is up to app code.
+ *
+ * Events (subscribe with game.on):
+ *   statechange  { from, to }
+ *   overcharge   { stage, rampedMax } - RAMPED moved up a stage (stage 1 comes with statechange)
+ *   roll         { die, effectiveMax, result, outcome, critical, time } - outcome and critical
+ *                are null when not ramped
+ *   timing       { grade, level, center } - a release while RAMPED was graded
+ *   loot         { outcome, die, result, stage, timing, critical } - a ramped roll resolved as
+ *                'hit' or 'miss'
+ */
+
+import { createRng } from './rng.js';
+import { isValidDieSize } from './shapes.js';
+import { getRuleset, DEFAULT_RULESET } from './rulesets.js';
+
+// Game state machine - single source of truth
+export const GameState = {
+  IDLE: 'idle',                    // No energy, waiting for input
+  RAMPING: 'ramping',              // Building energy, die rolling
+  RAMPED: 'ramped',                // Fully charged, +1 max active
+  LOOT_RESOLUTION: 'loot_resolution' // Showing hit/miss result, input blocked
+};
+
+// Valid state transitions
+const validTransitions = {
+  [GameState.IDLE]: [GameState.RAMPING],
+  [GameState.RAMPING]: [GameState.IDLE, GameState.RAMPED],
+  [GameState.RAMPED]: [GameState.RAMPING, GameState.LOOT_RESOLUTION],
+  [GameState.LOOT_RESOLUTION]: [GameState.IDLE, GameState.RAMPING]
+};
+
+// Release timing grades
+export const TimingGrade = {
+  PERFECT: 'perfect',
+  GOOD: 'good',
+  MISS: 'miss'
+};
+
+// Critical rolls (ramped only)
+export const CriticalRoll = {
+  CRIT: 'crit',                    // Top face of the effective die (d+1 and up)
+  FUMBLE: 'fumble'                 // A natural 1
+};
+
+// Timing window, in fractions of the energy bar
+const TIMING_WINDOW_LOW = 0.25;        // Sweep runs from here...
+const TIMING_WINDOW_HIGH = 1;          // ...up to a full bar and back
+const TIMING_WINDOW_PERIOD_MS = 1600;  // One full sweep up and down
+export const TIMING_PERFECT_RANGE = 0.04; // Distance from the window centre that grades perfect
+export const TIMING_GOOD_RANGE = 0.1;     // ...and good
+
+const MAX_CLOCK_STEP_MS = 100;         // Cap on clock-measured ticks (tab backgrounding)
+
+// Loot resolution timing
+export const HIT_RESOLUTION_MS = 3000; // Win sequence length, input blocked throughout
+export const MISS_RESOLUTION_MS = 800; // How long miss state shows before returning to idle
+
+const DEFAULT_DIE = 4;
+
+/**
+ * Create a game core
+ * @param {object} [options]
+ * @param {() => number} [options.now] - Clock in ms, used by tick() without an argument
+ * @param {() => number} [options.random] - RNG returning [0, 1) (a freshly seeded one by default)
+ * @param {number} [options.die] - Initially selected die
+ * @param {object} [options.rules] - Ruleset (rulesets.js), classic by default
+ */
+export function createGame({
+  now = () => performance.now(),
+  random = createRng().random,
+  die = DEFAULT_DIE,
+  rules = getRuleset(DEFAULT_RULESET)
+} = {}) {
+  if (!isValidDieSize(die)) throw new Error(`Invalid die size: ${die}`);
+
+  // Energy: a full bar (maxEnergyMs) ramps, each stage past it takes overchargeStageMs more
+  const { maxEnergyMs, energyPerClickMs, holdDrainRate, releaseDrainRate, maxStage, overchargeStageMs } = rules;
+  const maxOverchargeMs = maxEnergyMs + (maxStage - 1) * overchargeStageMs;
+
+  const listeners = {
+    statechange: new Set(),
+    overcharge: new Set(),
+    timing: new Set(),
+    roll: new Set(),
+    loot: new Set()
+  };
+
+  // State
+  let state = GameState.IDLE;
+  let currentDie = die;
+  let energy = 0;
+  let holding = false;
+  let rampedMax = null;      // The d+stage value during RAMPED and LOOT_RESOLUTION
+  let stage = 0;             // Overcharge stage, 1..maxStage while ramped
+  let lootResult = null;     // 'hit' or 'miss' during LOOT_RESOLUTION
+  let resolutionLeft = 0;    // ms until LOOT_RESOLUTION returns to IDLE
+  let pendingRoll = null;    // {result, effectiveMax} waiting for completeRoll()
+  let windowTime = 0;        // ms the timing window has swept this ramp
+  let timing = null;         // Grade of the last release while ramped, null after a press
+  let lastTickAt = now();
+
+  function emit(type, detail) {
+    listeners[type].forEach(listener => listener(detail));
+  }
+
+  function setState(newState) {
+    if (!validTransitions[state].includes(newState)) {
+      console.error(`Invalid state transition: ${state} -> ${newState}`);
+      return false;
+    }
+
+    const prevState = state;
+    state = newState;
+    emit('statechange', { from: prevState, to: newState });
+    return true;
+  }
+
+  function randomInt(min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+  }
+
+  function canAcceptInput() {
+    // Block input during loot hit animation, but allow during miss (try again)
+    if (state === GameState.LOOT_RESOLUTION) {
+      return lootResult === 'miss';
+    }
+    return true;
+  }
+
+  // Clear ramp value for next roll
+  function clearResolution() {
+    rampedMax = null;
+    stage = 0;
+    timing = null;
+    lootResult = null;
+    resolutionLeft = 0;
+  }
+
+  function addEnergy(amount = energyPerClickMs) {
+    if (!canAcceptInput()) return;
+
+    const wasIdle = state === GameState.IDLE;
+    // Only a ramped die can charge past a full bar
+    energy = Math.min(energy + amount, state === GameState.RAMPED ? maxOverchargeMs : maxEnergyMs);
+
+    // Cancel any pending finish - user is adding more energy
+    pendingRoll = null;
+
+    // Starting fresh or interrupting a miss
+    if (wasIdle || state === GameState.LOOT_RESOLUTION) {
+      clearResolution();
+      setState(GameState.RAMPING);
+    }
+
+    if (state === GameState.RAMPING && energy >= maxEnergyMs) {
+      stage = 1;
+      rampedMax = currentDie + 1;
+      windowTime = 0;
+      timing = null;
+      setState(GameState.RAMPED);
+    } else if (state === GameState.RAMPED) {
+      const reached = Math.min(1 + Math.floor((energy - maxEnergyMs) / overchargeStageMs), maxStage);
+      if (reached > stage) {
+        stage = reached;
+        rampedMax = currentDie + stage;
+        emit('overcharge', { stage, rampedMax });
+      }
+    }
+  }
+
+  // Centre of the timing window: starts low and sweeps up to a full bar and back
+  function getWindowCenter() {
+    const phase = (windowTime % TIMING_WINDOW_PERIOD_MS) / TIMING_WINDOW_PERIOD_MS;
+    const sweep = phase < 0.5 ? phase * 2 : 2 - phase * 2;
+    return TIMING_WINDOW_LOW + sweep * (TIMING_WINDOW_HIGH - TIMING_WINDOW_LOW);
+  }
+
+  function gradeRelease() {
+    const level = Math.min(energy, maxEnergyMs) / maxEnergyMs;
+    const center = getWindowCenter();
+    const distance = Math.abs(level - center);
+    if (distance <= TIMING_PERFECT_RANGE) timing = TimingGrade.PERFECT;
+    else if (distance <= TIMING_GOOD_RANGE) timing = TimingGrade.GOOD;
+    else timing = TimingGrade.MISS;
+    emit('timing', { grade: timing, level, center });
+  }
+
+  function finishRoll() {
+    // Use ramped max if power was full when roll started
+    const effectiveMax = rampedMax || currentDie;
+    pendingRoll = { result: randomInt(1, effectiveMax), effectiveMax };
+  }
+
+  return {
+    /**
+     * Subscribe to an event
+     * @param {'statechange'|'overcharge'|'timing'|'roll'|'loot'} type - Event name
+     * @param {(detail: object) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    on(type, listener) {
+      if (!listeners[type]) throw new Error(`Unknown game event: ${type}`);
+      listeners[type].add(listener);
+      return () => listeners[type].delete(listener);
+    },
+
+    /**
+     * Add energy (a click, tap or key press). Starts a roll from IDLE, interrupts a
+     * miss, and ramps once the bar is full.
+     * @param {number} [amount] - Energy in ms of charge
+     */
+    addEnergy,
+
+    /**
+     * Hold or release - holding drains energy slowly, releasing drains it fast.
+     * While ramped, a press clears the timing grade and a release is graded.
+     * @param {boolean} isHolding
+     */
+    setHolding(isHolding) {
+      if (state === GameState.RAMPED && isHolding !== holding) {
+        if (isHolding) timing = null;
+        else gradeRelease();
+      }
+      holding = isHolding;
+    },
+
+    /**
+     * Switch dice. Drops a ramp back to RAMPING, ends a miss early and kicks off a
+     * new roll when idle (or when a finished roll was still waiting to be shown).
+     * @param {number} sides - Die size
+     * @returns {boolean} Whether the die changed
+     */
+    selectDie(sides) {
+      if (!canAcceptInput()) return false;
+      if (!isValidDieSize(sides) || sides === currentDie) return false;
+
+      // Changing dice while ramped -> fall back to RAMPING (loses the +1 and any overcharge)
+      if (state === GameState.RAMPED) {
+        rampedMax = null;
+        stage = 0;
+        timing = null;
+        energy = Math.min(energy, maxEnergyMs);
+        setState(GameState.RAMPING);
+      }
+
+      currentDie = sides;
+
+      if (state === GameState.LOOT_RESOLUTION) {
+        clearResolution();
+        setState(GameState.IDLE);
+      }
+
+      // If there was a pending finish, cancel it and restart the roll
+      // (energy may have hit 0 and drain stopped, so we need to add energy to continue)
+      const hadPendingRoll = pendingRoll !== null;
+      pendingRoll = null;
+
+      if (state === GameState.IDLE || hadPendingRoll) {
+        addEnergy();
+      }
+      return true;
+    },
+
+    /**
+     * Advance time: drains energy (finishing the roll when it runs out) and counts
+     * down loot resolution
+     * @param {number} [dt] - Elapsed ms; measured with the clock when omitted
+     */
+    tick(dt) {
+      const time = now();
+      const step = dt ?? Math.min(time - lastTickAt, MAX_CLOCK_STEP_MS);
+      lastTickAt = time;
+      if (state === GameState.RAMPED) windowTime += step;
+
+      if (energy > 0) {
+        const drainRate = holding && canAcceptInput() ? holdDrainRate : releaseDrainRate;
+        energy = Math.max(0, energy - step * drainRate);
+        if (energy === 0) finishRoll();
+      }
+
+      if (state === GameState.LOOT_RESOLUTION) {
+        resolutionLeft -= step;
+        if (resolutionLeft <= 0) {
+          clearResolution();
+          setState(GameState.IDLE);
+        }
+      }
+    },
+
+    /**
+     * Resolve a finished roll (app.js waits for the die animation cycle to end).
+     * RAMPED goes through LOOT_RESOLUTION, RAMPING straight back to IDLE.
+     * @returns {boolean} Whether a roll was waiting
+     */
+    completeRoll() {
+      if (!pendingRoll) return false;
+      const { result, effectiveMax } = pendingRoll;
+      pendingRoll = null;
+
+      const outcome = state === GameState.RAMPED ? (result > currentDie ? 'hit' : 'miss') : null;
+      let critical = null;
+      if (outcome && result === effectiveMax) critical = CriticalRoll.CRIT;
+      else if (outcome && result === 1) critical = CriticalRoll.FUMBLE;
+      emit('roll', { die: currentDie, effectiveMax, result, outcome, critical, time: now() });
+
+      if (outcome) {
+        lootResult = outcome;
+        resolutionLeft = outcome === 'hit' ? HIT_RESOLUTION_MS : MISS_RESOLUTION_MS;
+        setState(GameState.LOOT_RESOLUTION);
+        emit('loot', { outcome, die: currentDie, result, stage, timing, critical });
+      } else {
+        rampedMax = null;
+        stage = 0;
+        timing = null;
+        setState(GameState.IDLE);
+      }
+      return true;
+    },
+
+    canAcceptInput,
+
+    /** @returns {string} Current GameState value */
+    getState: () => state,
+    /** @returns {number} Selected die size */
+    getDie: () => currentDie,
+    /** @returns {number} Energy as a 0..1 fraction of a full charge (overcharge not included) */
+    getEnergyLevel: () => Math.min(energy, maxEnergyMs) / maxEnergyMs,
+    /** @returns {number} Charge past a full bar as a 0..1 fraction of the most overcharge (0 without any) */
+    getOverchargeLevel: () => (maxOverchargeMs > maxEnergyMs ? Math.max(0, energy - maxEnergyMs) / (maxOverchargeMs - maxEnergyMs) : 0),
+    /** @returns {object} Ruleset the core plays by */
+    getRules: () => rules,
+    /** @returns {number|null} The d+stage max while ramped */
+    getRampedMax: () => rampedMax,
+    /** @returns {number} Overcharge stage while ramped (1 = d+1), 0 otherwise */
+    getStage: () => stage,
+    /**
+     * @returns {number|null} Centre of the timing window as a 0..1 fraction of the bar
+     *   while ramped, null otherwise
+     */
+    getTimingWindow: () => (state === GameState.RAMPED ? getWindowCenter() : null),
+    /** @returns {'perfect'|'good'|'miss'|null} Grade of the last release while ramped */
+    getTiming: () => timing,
+    /** @returns {'hit'|'miss'|null} Outcome during LOOT_RESOLUTION */
+    getLootResult: () => lootResult,
+    /** @returns {boolean} Whether input is being held */
+    isHolding: () => holding,
+    /** @returns {boolean} Whether a finished roll is waiting for completeRoll() */
+    hasPendingRoll: () => pendingRoll !== null
+  };
+}
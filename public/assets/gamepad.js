@@ -0,0 +1,151 @@
+/**
+ * Gamepad Input
+ *
+ * The Gamepad API only reports button state, so poll() compares every pad with what it
+ * read last frame and reports edges: press (A / Cross), prev and next (shoulders or
+ * d-pad left/right), and the right trigger's analog value. Buttons use the browser's
+ * 'standard' layout indices; other layouts are read with the same indices.
+ *
+ * Only one pad is heard at a time: the first to press something, until it lets go of
+ * everything. The others are read but ignored, so a second pad can't release the
+ * first one's hold or fight over the trigger.
+ *
+ * Pads are read through navigator.getGamepads on every poll, so a test can swap in a
+ * mock and dispatch gamepadconnected/gamepaddisconnected on window.
+ */
+
+// Standard layout button indices
+const BUTTONS = {
+  press: [0],        // A / Cross
+  prev: [4, 14],     // Left shoulder, d-pad left
+  next: [5, 15]      // Right shoulder, d-pad right
+};
+const TRIGGER_BUTTON = 7; // Right trigger
+
+const BUTTON_THRESHOLD = 0.5;  // Analog buttons count as pressed past this
+const TRIGGER_DEADZONE = 0.1;  // Trigger values below this read as released
+const TRIGGER_STEPS = 20;      // Trigger values are rounded to 1/20ths (fewer changes to report)
+
+function getGamepads() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+  return Array.from(navigator.getGamepads() || []).filter(Boolean);
+}
+
+function isPressed(button) {
+  if (!button) return false;
+  return typeof button === 'object' ? button.pressed || button.value > BUTTON_THRESHOLD : button > BUTTON_THRESHOLD;
+}
+
+function readTrigger(pad) {
+  const button = pad.buttons[TRIGGER_BUTTON];
+  const value = button ? (typeof button === 'object' ? button.value : button) : 0;
+  if (!(value >= TRIGGER_DEADZONE)) return 0;
+  return Math.min(1, Math.round(value * TRIGGER_STEPS) / TRIGGER_STEPS);
+}
+
+// What a pad is doing right now, in the terms poll() reports
+function readPad(pad) {
+  const buttons = {};
+  Object.entries(BUTTONS).forEach(([name, indices]) => {
+    buttons[name] = indices.some(index => isPressed(pad.buttons[index]));
+  });
+  return { buttons, trigger: readTrigger(pad) };
+}
+
+function isHolding(read) {
+  return read.trigger > 0 || Object.values(read.buttons).some(Boolean);
+}
+
+// Whether a pad pressed something new since the last read
+function hasPressed(now, last) {
+  return (now.trigger > 0 && last.trigger === 0) ||
+    Object.entries(now.buttons).some(([name, pressed]) => pressed && !last.buttons[name]);
+}
+
+/**
+ * Start listening for gamepads
+ * @param {object} handlers
+ * @param {(button: 'press'|'prev'|'next') => void} handlers.onButtonDown
+ * @param {(button: 'press'|'prev'|'next') => void} handlers.onButtonUp
+ * @param {(value: number) => void} handlers.onTrigger - Right trigger moved (0 = released, up to 1)
+ * @param {(connected: boolean, pad: {index: number, id: string}) => void} [handlers.onConnectionChange]
+ * @returns {{poll: () => void, isConnected: () => boolean, destroy: () => void}}
+ */
+export function createGamepadInput({ onButtonDown, onButtonUp, onTrigger, onConnectionChange = () => {} }) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  // State
+  const pads = new Map(); // pad index -> last read { buttons, trigger }
+  let activePad = null;   // Index of the pad being heard, null until one presses something
+  const connected = new Set(getGamepads().map(pad => pad.index)); // Pads seen connecting, by index
+
+  // Report a pad letting go of everything, so nothing stays held after it's gone
+  function releasePad(index) {
+    const last = pads.get(index);
+    pads.delete(index);
+    if (!last || index !== activePad) return;
+    activePad = null;
+    Object.entries(last.buttons).forEach(([name, pressed]) => {
+      if (pressed) onButtonUp(name);
+    });
+    if (last.trigger > 0) onTrigger(0);
+  }
+
+  window.addEventListener('gamepadconnected', ({ gamepad }) => {
+    connected.add(gamepad.index);
+    onConnectionChange(true, { index: gamepad.index, id: gamepad.id });
+  }, { signal });
+
+  window.addEventListener('gamepaddisconnected', ({ gamepad }) => {
+    connected.delete(gamepad.index);
+    releasePad(gamepad.index);
+    onConnectionChange(false, { index: gamepad.index, id: gamepad.id });
+  }, { signal });
+
+  /**
+   * Read every pad and report what changed since the last poll (call once per frame)
+   */
+  function poll() {
+    if (connected.size === 0) return;
+
+    const seen = new Set();
+    getGamepads().forEach(pad => {
+      seen.add(pad.index);
+      const now = readPad(pad);
+      const last = pads.get(pad.index) || { buttons: {}, trigger: 0 };
+      pads.set(pad.index, now);
+
+      if (activePad === null && hasPressed(now, last)) activePad = pad.index;
+      if (pad.index !== activePad) return;
+
+      Object.entries(now.buttons).forEach(([name, pressed]) => {
+        if (pressed && !last.buttons[name]) onButtonDown(name);
+        if (!pressed && last.buttons[name]) onButtonUp(name);
+      });
+      if (now.trigger !== last.trigger) onTrigger(now.trigger);
+      if (!isHolding(now)) activePad = null;
+    });
+
+    // Pads that vanished without a disconnect event
+    [...pads.keys()].forEach(index => {
+      if (!seen.has(index)) releasePad(index);
+    });
+  }
+
+  return {
+    poll,
+
+    /** @returns {boolean} Whether any gamepad is connected */
+    isConnected: () => connected.size > 0,
+
+    /**
+     * Stop listening (held buttons are not reported as released)
+     */
+    destroy() {
+      controller.abort();
+      pads.clear();
+      activePad = null;
+    }
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Roll History
+ *
+ * Audit trail of every roll: die, effective max (ramped d+1 included), result,
+ * hit/miss, crit/fumble and the loot tiers it granted. Rendered in a collapsible panel with
+ * per-die stats, exportable as CSV or JSON, persisted between visits.
+ */
+
+import { getTier } from './tiers.js';
+import { download, pageStorage } from './shared.js';
+
+const HISTORY_STORAGE_KEY = 'roll-history';
+const HISTORY_STORAGE_VERSION = 1;
+const MAX_HISTORY_ENTRIES = 1000;      // Oldest entries drop off past this
+const MAX_LISTED_ENTRIES = 50;         // Entries rendered in the panel list
+const SAVE_DEBOUNCE_MS = 250;
+
+// Numbered dice in size order, notation pools after them
+function dieSortKey(die) {
+  return typeof die === 'number' ? die : Infinity;
+}
+
+function dieLabel(die) {
+  return typeof die === 'number' ? `d${die}` : die;
+}
+
+function lootNames(loot) {
+  return loot.map(tier => getTier(tier).name);
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a roll history panel
+ * @param {object} elements
+ * @param {HTMLDetailsElement} elements.panel - Collapsible panel (tables render while open)
+ * @param {Element} elements.statsBody - Per-die stats tbody
+ * @param {Element} elements.list - Recent rolls list
+ * @param {Element} elements.countLabel - Total roll count
+ * @param {Element} elements.exportCsvButton
+ * @param {Element} elements.exportJsonButton
+ * @param {Element} elements.clearButton
+ * @param {object} [options]
+ * @param {string} [options.storagePrefix] - Prefix for the saved history
+ * @param {object} [options.storage] - Where to save (localStorage by default, see shared.js)
+ */
+export function createHistory(
+  { panel, statsBody, list, countLabel, exportCsvButton, exportJsonButton, clearButton },
+  { storagePrefix = '', storage = pageStorage } = {}
+) {
+  const storageKey = storagePrefix + HISTORY_STORAGE_KEY;
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  // State
+  let entries = []; // { time, die, effectiveMax, result, outcome, critical, loot }
+  let saveTimeout = null;
+
+  try {
+    const data = JSON.parse(storage.getItem(storageKey));
+    if (data && data.version === HISTORY_STORAGE_VERSION && Array.isArray(data.entries)) {
+      entries = data.entries.slice(-MAX_HISTORY_ENTRIES);
+    }
+  } catch (e) {
+    // Unavailable storage or corrupt JSON - start with an empty history
+  }
+
+  exportCsvButton.addEventListener('click', () => exportHistory('csv'), { signal });
+  exportJsonButton.addEventListener('click', () => exportHistory('json'), { signal });
+  clearButton.addEventListener('click', clearHistory, { signal });
+  panel.addEventListener('toggle', render, { signal });
+
+  render();
+
+  /**
+   * Record a finished roll
+   * @param {object} roll
+   * @param {number|string} roll.die - Die size, or the notation for pool rolls
+   * @param {number|null} roll.effectiveMax - Max face actually rolled (d+1 when ramped)
+   * @param {number} roll.result - Face rolled (pool total for notation rolls)
+   * @param {'hit'|'miss'|null} roll.outcome - Loot outcome, null when the roll wasn't ramped
+   * @param {'crit'|'fumble'|null} [roll.critical] - Critical roll, ramped rolls only
+   * @returns {object} The entry, for attaching loot later with setRollLoot
+   */
+  function recordRoll({ die, effectiveMax, result, outcome, critical = null }) {
+    const entry = {
+      time: new Date().toISOString(),
+      die,
+      effectiveMax,
+      result,
+      outcome,
+      critical,
+      loot: []
+    };
+    entries.push(entry);
+    if (entries.length > MAX_HISTORY_ENTRIES) {
+      entries.splice(0, entries.length - MAX_HISTORY_ENTRIES);
+    }
+    changed();
+    return entry;
+  }
+
+  /**
+   * Attach the loot tiers a roll granted (loot lands after the roll resolves)
+   * @param {object} entry - Entry returned by recordRoll
+   * @param {number[]} tiers - Granted tier ids
+   */
+  function setRollLoot(entry, tiers) {
+    entry.loot = [...tiers].sort((a, b) => a - b);
+    changed();
+  }
+
+  /**
+   * Forget every roll
+   */
+  function clearHistory() {
+    entries = [];
+    changed();
+  }
+
+  /**
+   * Per-die stats: roll count, mean result, ramped rolls, hit rate, crits and fumbles
+   * @returns {Array<{die: number|string, count: number, mean: number, ramped: number,
+   *   hits: number, hitRate: number|null, crits: number, fumbles: number}>} Sorted by die
+   *   size (pool rolls last)
+   */
+  function getHistoryStats() {
+    const byDie = new Map();
+    entries.forEach(entry => {
+      let stats = byDie.get(entry.die);
+      if (!stats) {
+        stats = { die: entry.die, count: 0, total: 0, ramped: 0, hits: 0, crits: 0, fumbles: 0 };
+        byDie.set(entry.die, stats);
+      }
+      stats.count++;
+      stats.total += entry.result;
+      if (entry.outcome) stats.ramped++;
+      if (entry.outcome === 'hit') stats.hits++;
+      if (entry.critical === 'crit') stats.crits++;
+      if (entry.critical === 'fumble') stats.fumbles++;
+    });
+
+    return [...byDie.values()]
+      .map(({ die, count, total, ramped, hits, crits, fumbles }) => ({
+        die,
+        count,
+        mean: total / count,
+        ramped,
+        hits,
+        hitRate: ramped > 0 ? hits / ramped : null,
+        crits,
+        fumbles
+      }))
+      .sort((a, b) => dieSortKey(a.die) - dieSortKey(b.die));
+  }
+
+  /**
+   * Download the history as a file
+   * @param {'csv'|'json'} format - Export format
+   */
+  function exportHistory(format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    if (format === 'json') {
+      const data = entries.map(entry => ({ ...entry, lootNames: lootNames(entry.loot) }));
+      download(`roll-history-${stamp}.json`, 'application/json', JSON.stringify(data, null, 2));
+      return;
+    }
+
+    const rows = [['time', 'die', 'effective_max', 'result', 'outcome', 'critical', 'loot']];
+    entries.forEach(entry => {
+      rows.push([
+        entry.time,
+        dieLabel(entry.die),
+        entry.effectiveMax ?? '',
+        entry.result,
+        entry.outcome ?? '',
+        entry.critical ?? '',
+        lootNames(entry.loot).join(' ')
+      ]);
+    });
+    const csv = rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+    download(`roll-history-${stamp}.csv`, 'text/csv', csv);
+  }
+
+  function changed() {
+    render();
+
+    // Coalesce writes - a big pool of drops can update the same entry repeatedly
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(save, SAVE_DEBOUNCE_MS);
+  }
+
+  function save() {
+    saveTimeout = null;
+    try {
+      storage.setItem(storageKey, JSON.stringify({
+        version: HISTORY_STORAGE_VERSION,
+        entries
+      }));
+    } catch (e) {
+      // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+    }
+  }
+
+  function render() {
+    countLabel.textContent = entries.length;
+
+    // Only build the tables while the panel is open
+    if (!panel.open) return;
+
+    statsBody.replaceChildren(...getHistoryStats().map(stats => {
+      const row = document.createElement('tr');
+      [
+        dieLabel(stats.die),
+        stats.count,
+        stats.mean.toFixed(2),
+        stats.hitRate === null ? '–' : `${Math.round(stats.hitRate * 100)}% (${stats.hits}/${stats.ramped})`,
+        stats.ramped > 0 ? `${stats.crits}/${stats.fumbles}` : '–'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+
+    list.replaceChildren(...entries.slice(-MAX_LISTED_ENTRIES).reverse().map(entry => {
+      const item = document.createElement('li');
+      item.dataset.outcome = entry.outcome ?? 'none';
+      if (entry.critical) item.dataset.critical = entry.critical;
+      const max = entry.effectiveMax && entry.effectiveMax !== entry.die ? ` (d${entry.effectiveMax})` : '';
+      const outcome = entry.outcome ? ` · ${entry.critical ? `${entry.outcome}, ${entry.critical}` : entry.outcome}` : '';
+      const loot = entry.loot.length > 0 ? ` · ${lootNames(entry.loot).join(' ').toLowerCase()}` : '';
+      item.textContent = `${dieLabel(entry.die)}${max} → ${entry.result}${outcome}${loot}`;
+      item.title = new Date(entry.time).toLocaleString();
+      return item;
+    }));
+  }
+
+  return {
+    recordRoll,
+    setRollLoot,
+    clearHistory,
+    getHistoryStats,
+    exportHistory,
+
+    /**
+     * Stop listening and write out any pending save
+     */
+    destroy() {
+      controller.abort();
+      if (saveTimeout) {
+        clearTimeout(saveTimeout);
+        save();
+      }
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Public Hooks
+ *
+ * Lets pages that embed the fidget follow along without reaching into its modules:
+ * versioned CustomEvents dispatched on the mount container (they bubble, so
+ * `document` listeners hear every instance), plus a read-only query API. Payloads
+ * are documented in docs/embedding.md - add fields freely, but bump HOOKS_VERSION
+ * before renaming or removing one.
+ *
+ *   fidget:statechange  { version, from, to, die, rampedMax, stage }
+ *   fidget:overcharge   { version, stage, die, rampedMax }
+ *   fidget:timing       { version, grade, level, center }
+ *   fidget:roll         { version, die, effectiveMax, result, outcome, critical }
+ *   fidget:loot         { version, outcome, die, result, stage, timing, critical }
+ *   fidget:drop         { version, tier, tierName, index, count, x, y }
+ *   fidget:pilechange   { version, count, points, tiers }
+ */
+
+import { getTier, getTierCount } from './tiers.js';
+
+export const HOOKS_VERSION = 1;
+const EVENT_PREFIX = 'fidget:';
+
+/**
+ * Start dispatching hook events for one mounted fidget
+ * @param {object} options
+ * @param {Element} options.target - Mount container the events are dispatched on
+ * @param {ReturnType<import('./game.js').createGame>} options.game - Game core
+ * @param {ReturnType<import('./loot.js').createLoot>} options.loot - Loot spawner
+ * @param {object|null} options.physics - Physics instance (null when physics failed)
+ * @returns {Readonly<{version: number, getState: () => string, getDie: () => number,
+ *   getEnergyLevel: () => number, getStage: () => number, getRuleset: () => string,
+ *   getInventory: () => object}>} Read-only query API
+ */
+export function createHooks({ target, game, loot, physics }) {
+  function dispatch(type, detail) {
+    target.dispatchEvent(new CustomEvent(EVENT_PREFIX + type, {
+      bubbles: true,
+      detail: { version: HOOKS_VERSION, ...detail }
+    }));
+  }
+
+  // Every tier in id order, including the ones with no cubes
+  function getInventoryTiers() {
+    const counts = physics ? physics.getPileCounts() : {};
+    const tiers = [];
+    for (let id = 1; id <= getTierCount(); id++) {
+      tiers.push({ id, name: getTier(id).name, count: counts[id] || 0 });
+    }
+    return tiers;
+  }
+
+  game.on('statechange', ({ from, to }) => {
+    dispatch('statechange', { from, to, die: game.getDie(), rampedMax: game.getRampedMax(), stage: game.getStage() });
+  });
+  game.on('overcharge', ({ stage, rampedMax }) => {
+    dispatch('overcharge', { stage, die: game.getDie(), rampedMax });
+  });
+  game.on('timing', ({ grade, level, center }) => {
+    dispatch('timing', { grade, level, center });
+  });
+  game.on('roll', ({ die, effectiveMax, result, outcome, critical }) => {
+    dispatch('roll', { die, effectiveMax, result, outcome, critical });
+  });
+  game.on('loot', ({ outcome, die, result, stage, timing, critical }) => {
+    dispatch('loot', { outcome, die, result, stage, timing, critical });
+  });
+  loot.onLootDrop(({ tier, index, count, x, y }) => {
+    dispatch('drop', { tier, tierName: getTier(tier).name, index, count, x, y });
+  });
+  if (physics) {
+    physics.onPileChange(({ count, points }) => {
+      dispatch('pilechange', { count, points, tiers: getInventoryTiers() });
+    });
+  }
+
+  return Object.freeze({
+    version: HOOKS_VERSION,
+    /** @returns {string} Current game state ('idle', 'ramping', 'ramped', 'loot_resolution') */
+    getState: () => game.getState(),
+    /** @returns {number} Selected die size */
+    getDie: () => game.getDie(),
+    /** @returns {number} Energy as a 0..1 fraction of a full charge */
+    getEnergyLevel: () => game.getEnergyLevel(),
+    /** @returns {number} Overcharge stage while ramped (1 = d+1, 2 = d+2, ...), 0 otherwise */
+    getStage: () => game.getStage(),
+    /** @returns {string} Id of the ruleset in play ('chill', 'classic', 'frantic' or 'custom') */
+    getRuleset: () => game.getRules().id,
+    /** @returns {{count: number, points: number, tiers: {id: number, name: string, count: number}[]}} */
+    getInventory: () => ({
+      ...(physics ? physics.getPile() : { count: 0, points: 0 }),
+      tiers: getInventoryTiers()
+    })
+  });
+}
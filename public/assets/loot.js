@@ -1,149 +1,309 @@
 /**
  * Loot System
  *
- * Determines loot drops and spawns physics cubes via the physics module.
+ * Determines loot drops and hands them to a cube spawner (a physics instance's
+ * spawnCube in the browser, injected through createLoot). createLootRoller() is the
+ * drop logic on its own, with no DOM or physics dependency, so Node scripts can roll
+ * drops directly.
  */
 
-import { spawnCube } from './physics.js';
-import { announce } from './shared.js';
-
-// Tier definitions - tier number determines rarity (1 = rarest, 7 = most common)
-const TIER_TRASH = 7;
-const TIER_ZZZ = 6;
-
-const LOOT_TIERS = {
-  [TIER_TRASH]: { name: 'TRASH', color: '#4E4A46' },
-  [TIER_ZZZ]: { name: 'ZZZ', color: '#B88B5A' },
-  5: { name: 'DECENT', color: '#A7B0BA' },
-  4: { name: 'DOPE', color: '#62D49A' },
-  3: { name: 'BASED', color: '#5FA8FF' },
-  2: { name: 'SHEESH', color: '#B58CFF' },
-  1: { name: 'JAWESOME', color: '#F5C66A' }
-};
+import { realClock } from './clock.js';
+import { getTier, getTierCount, getTrashTier, getZzzTier, getRareTierFloor, getRarityWeights } from './tiers.js';
+import { getRuleset, DEFAULT_RULESET } from './rulesets.js';
 
-export { TIER_TRASH, TIER_ZZZ };
-
-// Rarity weights per die (percentages for each tier 1-7)
-// Lower dice heavily favor trash, rare items require higher dice
-const RARITY_WEIGHTS = {
-  4:   { 1: 0.5,  2: 1,    3: 3,    4: 8,    5: 15,   6: 25,   7: 47.5 },
-  6:   { 1: 1,    2: 2,    3: 5,    4: 10,   5: 17,   6: 25,   7: 40 },
-  8:   { 1: 2,    2: 3,    3: 7,    4: 13,   5: 20,   6: 25,   7: 30 },
-  10:  { 1: 3,    2: 5,    3: 10,   4: 16,   5: 22,   6: 24,   7: 20 },
-  12:  { 1: 4,    2: 7,    3: 12,   4: 18,   5: 23,   6: 21,   7: 15 },
-  20:  { 1: 6,    2: 9,    3: 14,   4: 20,   5: 22,   6: 17,   7: 12 },
-  100: { 1: 10,   2: 12,   3: 16,   4: 20,   5: 18,   6: 14,   7: 10 }
-};
+const CLASSIC = getRuleset(DEFAULT_RULESET);
 
 // Timing - scales based on drop count
 const BASE_DROP_INTERVAL_MS = 150;
 const MIN_DROP_INTERVAL_MS = 30;
 
-// State
-let dropsInFlight = 0; // Counter for animations in progress
-let lootQueue = []; // Queue for pending loot drops { dieSize, originX, originY }
+// What each overcharge stage (see game.js) does to the loot, stage 1 being the plain
+// d+1 ramp. Hits get more drops, rolled from the table of a bigger die; misses lose
+// the consolation drop and then a share of the pile.
+const OVERCHARGE_LOOT = [
+  { dropMultiplier: 1, rarityDieScale: 1, consolation: true, pileTax: 0 },      // d+1
+  { dropMultiplier: 1.25, rarityDieScale: 2, consolation: false, pileTax: 0 },   // d+2
+  { dropMultiplier: 1.5, rarityDieScale: 3, consolation: false, pileTax: 0.15 }  // d+3
+];
 
-function rollTier(dieSize) {
-  const weights = RARITY_WEIGHTS[dieSize] || RARITY_WEIGHTS[20];
-  const roll = Math.random() * 100;
-  let cumulative = 0;
+// What a release timing grade (see game.js) adds to a hit: good rolls one extra
+// drop, perfect also upgrades the best drop by a tier
+const TIMING_LOOT = {
+  perfect: { extraDrops: 1, tierUpgrade: 1 },
+  good: { extraDrops: 1, tierUpgrade: 0 }
+};
+const NO_TIMING_BONUS = { extraDrops: 0, tierUpgrade: 0 };
 
-  for (let tier = 1; tier <= 7; tier++) {
-    cumulative += weights[tier];
-    if (roll < cumulative) {
-      return tier;
-    }
-  }
-  return 7;
+/**
+ * Loot bonus for a release timing grade
+ * @param {'perfect'|'good'|'miss'|null} timing
+ * @returns {{extraDrops: number, tierUpgrade: number}}
+ */
+export function getTimingLoot(timing) {
+  return TIMING_LOOT[timing] || NO_TIMING_BONUS;
 }
 
-export function spawnLoot(dieSize, rollResult, originX, originY) {
-  // Queue loot if drops are in flight
-  if (dropsInFlight > 0) {
-    lootQueue.push({ dieSize, rollResult, originX, originY });
-    return;
+/**
+ * Loot modifiers for an overcharge stage (stages past the table use its last row)
+ * @param {number} stage - Overcharge stage, 1 = d+1
+ * @returns {{dropMultiplier: number, rarityDieScale: number, consolation: boolean, pileTax: number}}
+ */
+export function getOverchargeLoot(stage) {
+  return OVERCHARGE_LOOT[Math.min(Math.max(stage, 1), OVERCHARGE_LOOT.length) - 1];
+}
+
+/**
+ * Create the drop logic for one player: tiers come from their generator and are
+ * shifted by, and counted toward, their bad-luck protection
+ * @param {object} options
+ * @param {() => number} options.random - RNG returning [0, 1) (rng.js)
+ * @param {object} options.pity - Bad-luck protection (pity.js createPity)
+ * @returns {{rollTier: Function, rollConsolationDrops: Function, rollLootDrops: Function}}
+ */
+export function createLootRoller({ random, pity }) {
+  /**
+   * Roll a single tier from a die's rarity weights, shifted by bad-luck protection
+   * @param {number} dieSize - Die size the weights are taken from
+   * @returns {number} Tier id (1 = rarest)
+   */
+  function rollTier(dieSize) {
+    const weights = pity.applyPity(getRarityWeights(dieSize));
+    const tierCount = getTierCount();
+    const roll = random() * 100;
+    let cumulative = 0;
+
+    for (let tier = 1; tier <= tierCount; tier++) {
+      cumulative += weights[tier - 1];
+      if (roll < cumulative) {
+        return tier;
+      }
+    }
+    return tierCount;
   }
 
-  processLootDrop(dieSize, rollResult, originX, originY);
-}
+  /**
+   * Roll the consolation drops for a ramped miss.
+   * Counts as one roll for bad-luck protection.
+   * @param {number} [stage] - Overcharge stage (overcharged misses get nothing)
+   * @param {object} [rules] - Ruleset with the consolation odds (rulesets.js)
+   * @returns {number[]} Tier ids
+   */
+  function rollConsolationDrops(stage = 1, rules = CLASSIC) {
+    if (!getOverchargeLoot(stage).consolation) {
+      pity.recordPityRoll([]);
+      return [];
+    }
 
-export function spawnConsolationLoot(originX, originY) {
+    // 1 to consolationMaxTrash trash guaranteed, a chance for 1 zzz (1-3 and 25% in classic)
+    const trashCount = 1 + Math.floor(random() * rules.consolationMaxTrash);
+    const includeZzz = random() < rules.consolationZzzChance;
 
-  // 1-3 trash guaranteed, 25% chance for 1 zzz
-  const trashCount = 1 + Math.floor(Math.random() * 3);
-  const includeZzz = Math.random() < 0.25;
+    const drops = [];
+    for (let i = 0; i < trashCount; i++) {
+      drops.push(getTrashTier());
+    }
+    if (includeZzz) {
+      drops.push(getZzzTier());
+    }
 
-  const drops = [];
-  for (let i = 0; i < trashCount; i++) {
-    drops.push(TIER_TRASH);
-  }
-  if (includeZzz) {
-    drops.push(TIER_ZZZ);
+    pity.recordPityRoll(drops);
+    return drops;
   }
 
-  processDrops(drops, originX, originY);
+  /**
+   * Roll the drops for a ramped hit: one rolled tier per point of the roll result,
+   * plus a guaranteed TRASH, with the all-junk pity upgrade applied. Overcharge
+   * multiplies the rolled drops and rolls them from a bigger die's weights; a well
+   * timed release adds a drop and can upgrade the best one, and a crit raises the
+   * best drop to at least the least rare of the rare tiers (BASED).
+   * Counts as one roll for bad-luck protection.
+   * @param {number} dieSize - Die size the weights are taken from
+   * @param {number} rollResult - Roll result (number of rolled drops)
+   * @param {number} [stage] - Overcharge stage, 1 = d+1
+   * @param {object} [rules] - Ruleset whose loot table scales on top (rulesets.js)
+   * @param {'perfect'|'good'|'miss'|null} [timing] - Release timing grade
+   * @param {boolean} [crit] - Whether the hit was a crit
+   * @returns {{drops: number[], pity: boolean}} Tier ids and whether pity fired
+   */
+  function rollLootDrops(dieSize, rollResult, stage = 1, rules = CLASSIC, timing = null, crit = false) {
+    const overcharge = getOverchargeLoot(stage);
+    const bonus = getTimingLoot(timing);
+    const drops = [];
+
+    // Roll result = number of rolled drops (times the ruleset and overcharge multipliers)
+    const dropCount = Math.max(1, Math.round(rollResult * overcharge.dropMultiplier * rules.dropMultiplier))
+      + bonus.extraDrops;
+    const rarityDie = dieSize * overcharge.rarityDieScale * rules.rarityDieScale;
+    for (let i = 0; i < dropCount; i++) {
+      drops.push(rollTier(rarityDie));
+    }
+
+    // Plus 1 guaranteed trash
+    drops.push(getTrashTier());
+
+    // Pity upgrade: if all loot is junk (ZZZ/TRASH), guarantee the tier just above ZZZ (DECENT)
+    const allTrash = drops.every(tier => tier >= getZzzTier());
+    if (allTrash) {
+      const bestIndex = drops.indexOf(Math.min(...drops));
+      drops[bestIndex] = getZzzTier() - 1;
+    }
 
-  // Return best tier for UI feedback
-  return includeZzz ? TIER_ZZZ : TIER_TRASH;
+    // Crit floor: the best drop is at least a rare tier
+    const critFloor = getRareTierFloor();
+    if (crit && Math.min(...drops) > critFloor) {
+      drops[drops.indexOf(Math.min(...drops))] = critFloor;
+    }
+
+    // Timing upgrade: the best drop moves up a tier (the rarest tier can't go higher)
+    if (bonus.tierUpgrade > 0) {
+      const upgradable = drops.filter(tier => tier > 1);
+      if (upgradable.length > 0) {
+        const bestIndex = drops.indexOf(Math.min(...upgradable));
+        drops[bestIndex] = Math.max(1, drops[bestIndex] - bonus.tierUpgrade);
+      }
+    }
+
+    pity.recordPityRoll(drops);
+    return { drops, pity: allTrash };
+  }
+
+  return { rollTier, rollConsolationDrops, rollLootDrops };
 }
 
-function processLootDrop(dieSize, rollResult, originX, originY) {
-  const drops = [];
+/**
+ * Create a loot spawner
+ * @param {object} options
+ * @param {(tier: number, originX: number, originY: number) => void} options.spawnCube - Spawns one cube
+ * @param {(message: string) => void} options.announce - Screen reader announcer
+ * @param {object} [options.clock] - Timer source for the drop stagger (see clock.js)
+ * @param {object} [options.rules] - Ruleset for the loot table and consolation odds
+ * @param {() => number} options.random - RNG returning [0, 1) (rng.js)
+ * @param {object} options.pity - Bad-luck protection (pity.js createPity)
+ */
+export function createLoot({ spawnCube, announce, clock = realClock, rules = CLASSIC, random, pity }) {
+  const { rollLootDrops, rollConsolationDrops } = createLootRoller({ random, pity });
+
+  // State
+  let dropsInFlight = 0; // Counter for animations in progress
+  const lootQueue = []; // Queue for pending loot drops { dieSize, rollResult, originX, originY, onRolled, stage, timing, crit }
+  const dropListeners = new Set();
+  const timeouts = new Set();
 
-  // Roll result = number of rolled drops
-  for (let i = 0; i < rollResult; i++) {
-    drops.push(rollTier(dieSize));
+  function later(callback, ms) {
+    const id = clock.setTimeout(() => {
+      timeouts.delete(id);
+      callback();
+    }, ms);
+    timeouts.add(id);
   }
 
-  // Plus 1 guaranteed trash
-  drops.push(TIER_TRASH);
+  /**
+   * Roll and spawn the loot for a ramped hit (queued while other drops are in flight)
+   * @param {number} dieSize - Die size the weights are taken from
+   * @param {number} rollResult - Roll result (number of rolled drops)
+   * @param {number} originX - Spawn X position
+   * @param {number} originY - Spawn Y position
+   * @param {(drops: number[]) => void} [onRolled] - Called with the tier ids once rolled
+   * @param {number} [stage] - Overcharge stage the hit was rolled at
+   * @param {'perfect'|'good'|'miss'|null} [timing] - Release timing grade of the hit
+   * @param {boolean} [crit] - Whether the hit was a crit
+   */
+  function spawnLoot(dieSize, rollResult, originX, originY, onRolled, stage = 1, timing = null, crit = false) {
+    // Queue loot if drops are in flight
+    if (dropsInFlight > 0) {
+      lootQueue.push({ dieSize, rollResult, originX, originY, onRolled, stage, timing, crit });
+      return;
+    }
 
-  // Pity upgrade: if all loot is tier 6-7, guarantee at least one DECENT (tier 5)
-  const allTrash = drops.every(tier => tier >= TIER_ZZZ);
-  if (allTrash) {
-    const bestIndex = drops.indexOf(Math.min(...drops));
-    drops[bestIndex] = 5;
+    processLootDrop(dieSize, rollResult, originX, originY, onRolled, stage, timing, crit);
   }
 
-  processDrops(drops, originX, originY);
-}
+  /**
+   * Roll and spawn the consolation drops for a ramped miss
+   * @param {number} originX - Spawn X position
+   * @param {number} originY - Spawn Y position
+   * @param {number} [stage] - Overcharge stage the miss was rolled at
+   * @returns {number[]} Granted tier ids (for UI feedback and history), empty when
+   *   overcharge forfeited them
+   */
+  function spawnConsolationLoot(originX, originY, stage = 1) {
+    const drops = rollConsolationDrops(stage, rules);
+    processDrops(drops, originX, originY);
+    return drops;
+  }
 
-function processDrops(drops, originX, originY) {
-  // Sort drops by tier (worst first, rarest last) for consistent animation order
-  drops.sort((a, b) => b - a);
+  function processLootDrop(dieSize, rollResult, originX, originY, onRolled, stage, timing, crit) {
+    const { drops } = rollLootDrops(dieSize, rollResult, stage, rules, timing, crit);
+    if (onRolled) onRolled(drops);
+    processDrops(drops, originX, originY);
+  }
+
+  function processDrops(drops, originX, originY) {
+    if (drops.length === 0) return;
+
+    // Sort drops by tier (worst first, rarest last) for consistent animation order
+    drops.sort((a, b) => b - a);
+
+    // Find best tier for announcement
+    const bestTier = Math.min(...drops);
+    const tierData = getTier(bestTier);
+
+    // Announce if we got something decent (better than the junk tiers)
+    if (bestTier < getZzzTier()) {
+      announce(`${tierData.name}!`);
+    }
 
-  // Find best tier for announcement
-  const bestTier = Math.min(...drops);
-  const tierData = LOOT_TIERS[bestTier];
+    // Scale drop interval based on quantity (faster for large drops)
+    const dropInterval = Math.max(
+      MIN_DROP_INTERVAL_MS,
+      BASE_DROP_INTERVAL_MS - drops.length * 1.2
+    );
 
-  // Announce if we got something decent (tier 5 or better)
-  if (bestTier <= 5) {
-    announce(`${tierData.name}!`);
+    // Stagger each drop
+    drops.forEach((tier, index) => {
+      later(() => {
+        dropsInFlight++;
+
+        // Announce the drop, then spawn its physics cube (which updates the pile)
+        const drop = { tier, index, count: drops.length, x: originX, y: originY };
+        dropListeners.forEach(listener => listener(drop));
+        spawnCube(tier, originX, originY);
+
+        // Mark drop as complete after a short delay
+        later(() => {
+          dropsInFlight--;
+
+          if (dropsInFlight === 0 && lootQueue.length > 0) {
+            const next = lootQueue.shift();
+            processLootDrop(
+              next.dieSize, next.rollResult, next.originX, next.originY, next.onRolled, next.stage, next.timing, next.crit
+            );
+          }
+        }, 100);
+      }, index * dropInterval);
+    });
   }
 
-  // Scale drop interval based on quantity (faster for large drops)
-  const dropInterval = Math.max(
-    MIN_DROP_INTERVAL_MS,
-    BASE_DROP_INTERVAL_MS - drops.length * 1.2
-  );
-
-  // Stagger each drop
-  drops.forEach((tier, index) => {
-    setTimeout(() => {
-      dropsInFlight++;
-
-      // Spawn physics cube
-      spawnCube(tier, originX, originY);
-
-      // Mark drop as complete after a short delay
-      setTimeout(() => {
-        dropsInFlight--;
-
-        if (dropsInFlight === 0 && lootQueue.length > 0) {
-          const next = lootQueue.shift();
-          processLootDrop(next.dieSize, next.rollResult, next.originX, next.originY);
-        }
-      }, 100);
-    }, index * dropInterval);
-  });
+  return {
+    spawnLoot,
+    spawnConsolationLoot,
+
+    /**
+     * Subscribe to spawned drops (fires as each cube is handed to the spawner)
+     * @param {(drop: {tier: number, index: number, count: number, x: number, y: number}) => void} listener
+     */
+    onLootDrop(listener) {
+      dropListeners.add(listener);
+    },
+
+    /**
+     * Drop queued loot and cancel drops still waiting to spawn
+     */
+    destroy() {
+      timeouts.forEach(id => clock.clearTimeout(id));
+      timeouts.clear();
+      lootQueue.length = 0;
+      dropListeners.clear();
+    }
+  };
 }
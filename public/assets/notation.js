@@ -0,0 +1,160 @@
+/**
+ * Dice Notation
+ *
+ * Parses and rolls standard tabletop notation: a sum of dice groups and flat
+ * modifiers, e.g. "3d6+2", "4d6kh3", "2d20kl1-1", "d%", "5d10!".
+ *
+ *   NdX     roll N X-sided dice (N defaults to 1, d% is d100)
+ *   !       exploding: every max face rolls an extra die
+ *   khK/klK keep the highest/lowest K dice (k alone means kh)
+ *   +/-M    flat modifier
+ *
+ * DOM-free; rolls draw from the caller's seeded RNG.
+ */
+
+import { MIN_DIE_SIDES, MAX_DIE_SIDES } from './shapes.js';
+
+const MAX_DICE = 100;                  // Dice per expression, before explosions
+const MAX_EXPLOSIONS_PER_DIE = 20;     // Stops runaway chains on small dice
+const MAX_MODIFIER = 10000;
+const MAX_LENGTH = 64;
+
+const TERM_PATTERN = /^(\d*)d(\d+|%)(!)?(?:k([hl])?(\d+))?$/;
+const NUMBER_PATTERN = /^\d+$/;
+
+/**
+ * Error thrown for notation that can't be parsed or exceeds limits
+ */
+export class NotationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotationError';
+  }
+}
+
+/**
+ * Parse a notation string
+ * @param {string} input - e.g. "3d6+2"
+ * @returns {{notation: string, groups: Array<{sign: number, count: number, sides: number,
+ *   explode: boolean, keep: {mode: 'h'|'l', count: number}|null, notation: string}>,
+ *   modifier: number}}
+ * @throws {NotationError} If the input is invalid or over the limits
+ */
+export function parseNotation(input) {
+  const text = String(input).toLowerCase().replace(/\s+/g, '');
+  if (text === '') throw new NotationError('Enter dice like 3d6+2');
+  if (text.length > MAX_LENGTH) throw new NotationError('Notation is too long');
+
+  // Split into signed terms: "3d6+2-1d4" -> ["3d6", "+2", "-1d4"]
+  const terms = text.match(/[+-]?[^+-]+/g);
+  if (!terms || terms.join('') !== text) {
+    throw new NotationError(`Can't read "${input}"`);
+  }
+
+  const groups = [];
+  let modifier = 0;
+  let diceTotal = 0;
+
+  for (const term of terms) {
+    const sign = term.startsWith('-') ? -1 : 1;
+    const body = term.replace(/^[+-]/, '');
+
+    if (NUMBER_PATTERN.test(body)) {
+      modifier += sign * Number(body);
+      continue;
+    }
+
+    const match = body.match(TERM_PATTERN);
+    if (!match) throw new NotationError(`Can't read "${body}"`);
+
+    const count = match[1] === '' ? 1 : Number(match[1]);
+    const sides = match[2] === '%' ? 100 : Number(match[2]);
+    const explode = match[3] === '!';
+    const keep = match[5] === undefined
+      ? null
+      : { mode: match[4] === 'l' ? 'l' : 'h', count: Number(match[5]) };
+
+    if (count < 1) throw new NotationError(`"${body}" needs at least one die`);
+    if (sides < MIN_DIE_SIDES || sides > MAX_DIE_SIDES) {
+      throw new NotationError(`Dice need ${MIN_DIE_SIDES} to ${MAX_DIE_SIDES} sides`);
+    }
+    if (keep && (keep.count < 1 || keep.count > count)) {
+      throw new NotationError(`"${body}" can keep 1 to ${count} dice`);
+    }
+
+    diceTotal += count;
+    if (diceTotal > MAX_DICE) throw new NotationError(`At most ${MAX_DICE} dice per roll`);
+
+    groups.push({ sign, count, sides, explode, keep, notation: body });
+  }
+
+  if (groups.length === 0) throw new NotationError('Roll at least one die');
+  if (Math.abs(modifier) > MAX_MODIFIER) throw new NotationError('Modifier is too large');
+
+  return { notation: text, groups, modifier };
+}
+
+/**
+ * Roll a parsed notation
+ * @param {ReturnType<typeof parseNotation>} parsed - Output of parseNotation
+ * @param {() => number} random - RNG returning [0, 1) (rng.js)
+ * @returns {{notation: string, modifier: number, total: number,
+ *   groups: Array<{notation: string, sides: number, sign: number, subtotal: number,
+ *   dice: Array<{value: number, kept: boolean, exploded: boolean}>}>}}
+ */
+export function rollNotation(parsed, random) {
+  const rollFace = sides => Math.floor(random() * sides) + 1;
+  const groups = parsed.groups.map(group => {
+    const dice = [];
+
+    for (let i = 0; i < group.count; i++) {
+      let value = rollFace(group.sides);
+      dice.push({ value, kept: true, exploded: false });
+
+      // Each max face adds another die, marked as an explosion
+      let chain = 0;
+      while (group.explode && value === group.sides && chain < MAX_EXPLOSIONS_PER_DIE) {
+        value = rollFace(group.sides);
+        dice.push({ value, kept: true, exploded: true });
+        chain++;
+      }
+    }
+
+    if (group.keep) {
+      const order = dice
+        .map((die, index) => ({ value: die.value, index }))
+        .sort((a, b) => (group.keep.mode === 'h' ? b.value - a.value : a.value - b.value));
+      const keptIndexes = new Set(order.slice(0, group.keep.count).map(entry => entry.index));
+      dice.forEach((die, index) => {
+        die.kept = keptIndexes.has(index);
+      });
+    }
+
+    const subtotal = dice.reduce((sum, die) => (die.kept ? sum + die.value : sum), 0);
+    return {
+      notation: group.notation,
+      sides: group.sides,
+      sign: group.sign,
+      subtotal,
+      dice
+    };
+  });
+
+  const total = groups.reduce((sum, group) => sum + group.sign * group.subtotal, parsed.modifier);
+  return { notation: parsed.notation, modifier: parsed.modifier, total, groups };
+}
+
+/**
+ * Describe a roll for screen readers, e.g. "3d6+2: 4, 2, 6, plus 2. Total 14"
+ * @param {ReturnType<typeof rollNotation>} roll - Output of rollNotation
+ * @returns {string}
+ */
+export function describeRoll(roll) {
+  const values = roll.groups
+    .flatMap(group => group.dice.map(die => (die.kept ? `${die.value}` : `${die.value} dropped`)))
+    .join(', ');
+  const modifier = roll.modifier === 0
+    ? ''
+    : `, ${roll.modifier > 0 ? 'plus' : 'minus'} ${Math.abs(roll.modifier)}`;
+  return `${roll.notation}: ${values}${modifier}. Total ${roll.total}`;
+}
@@ -0,0 +1,491 @@
+/**
+ * Fallback Physics Engine
+ *
+ * A small stand-in for the slice of Rapier that physics.js uses, for when Rapier can't
+ * load (blocked, too slow, no WebAssembly). Gravity plus axis-aligned box stacking:
+ * cubes fall, bounce a little, stack on the floor and on each other, and slide off
+ * edges. They never truly tip over - a cube spins in the air but squares up once it
+ * touches something, and one hanging past the edge of the cube below slides off. It
+ * steps on the same fixed tick and reports the same collision events, so landing,
+ * fusion and packing in physics.js work unchanged.
+ *
+ * Sleeping cubes act as immovable until something hits them hard enough to wake them,
+ * which keeps a settled pile steady and cheap.
+ */
+
+// Solver
+const SOLVER_PASSES = 4;               // Overlap passes per step - more gives steadier stacks
+const CONTACT_MARGIN = 0.005;          // Gap (physics units) that still counts as touching
+const BOUNCE_SPEED = 0.6;              // Slower approaches don't bounce at all
+const WAKE_SPEED = 1.5;                // Approach speed that wakes a sleeping cube
+
+// Sleeping
+const SLEEP_SPEED = 0.05;              // Below this a cube counts as still (physics units/s)
+const SLEEP_STEPS = 30;                // Steps a cube must stay still before it sleeps
+
+// Tipping
+const TIP_ACCEL = 6;                   // Sideways pull on a cube hanging past the edge below it
+
+// Squaring up on contact
+const SETTLE_SPIN_DAMPING = 0.5;       // Spin kept per step while touching something
+const SETTLE_TURN_RATE = 0.25;         // Share of the way to the nearest quarter turn per step
+
+const QUARTER_TURN = Math.PI / 2;
+
+let nextHandle = 0;
+
+function nearestQuarterTurn(angle) {
+  return Math.round(angle / QUARTER_TURN) * QUARTER_TURN;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+class RigidBodyDesc {
+  static dynamic() {
+    return new RigidBodyDesc();
+  }
+
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.rotation = 0;
+    this.linearDamping = 0;
+    this.angularDamping = 0;
+  }
+
+  setTranslation(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  setRotation(angle) {
+    this.rotation = angle;
+    return this;
+  }
+
+  setLinearDamping(damping) {
+    this.linearDamping = damping;
+    return this;
+  }
+
+  setAngularDamping(damping) {
+    this.angularDamping = damping;
+    return this;
+  }
+}
+
+class ColliderDesc {
+  static cuboid(halfWidth, halfHeight) {
+    return new ColliderDesc(halfWidth, halfHeight);
+  }
+
+  constructor(halfWidth, halfHeight) {
+    this.halfWidth = halfWidth;
+    this.halfHeight = halfHeight;
+    this.x = 0;
+    this.y = 0;
+    this.restitution = 0;
+    this.friction = 0.5;
+    this.density = 1;
+  }
+
+  setTranslation(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  setRestitution(restitution) {
+    this.restitution = restitution;
+    return this;
+  }
+
+  setFriction(friction) {
+    this.friction = friction;
+    return this;
+  }
+
+  setDensity(density) {
+    this.density = density;
+    return this;
+  }
+
+  // Every collider reports collisions here
+  setActiveEvents() {
+    return this;
+  }
+}
+
+class RigidBody {
+  constructor(desc) {
+    this.position = { x: desc.x, y: desc.y };
+    this.angle = desc.rotation;
+    this.velocity = { x: 0, y: 0 };
+    this.spin = 0;
+    this.linearDamping = desc.linearDamping;
+    this.angularDamping = desc.angularDamping;
+    this.collider = null;
+    this.mass = 1;
+    this.sleeping = false;
+    this.stillSteps = 0;
+    this.touching = false; // Touched something last step (squares it up)
+    this.previous = { ...this.position }; // Where the last step started
+  }
+
+  translation() {
+    return { ...this.position };
+  }
+
+  rotation() {
+    return this.angle;
+  }
+
+  linvel() {
+    return { ...this.velocity };
+  }
+
+  angvel() {
+    return this.spin;
+  }
+
+  isSleeping() {
+    return this.sleeping;
+  }
+
+  setTranslation({ x, y }, wake) {
+    this.position = { x, y };
+    if (wake) this.wakeUp();
+  }
+
+  setLinvel({ x, y }, wake) {
+    this.velocity = { x, y };
+    if (wake) this.wakeUp();
+  }
+
+  setAngvel(spin, wake) {
+    this.spin = spin;
+    if (wake) this.wakeUp();
+  }
+
+  applyImpulse({ x, y }, wake) {
+    this.velocity.x += x / this.mass;
+    this.velocity.y += y / this.mass;
+    if (wake) this.wakeUp();
+  }
+
+  wakeUp() {
+    this.sleeping = false;
+    this.stillSteps = 0;
+  }
+}
+
+class Collider {
+  constructor(desc, body) {
+    this.handle = nextHandle++;
+    this.body = body;
+    this.halfWidth = desc.halfWidth;
+    this.halfHeight = desc.halfHeight;
+    this.restitution = desc.restitution;
+    this.friction = desc.friction;
+    this.position = { x: desc.x, y: desc.y }; // Fixed colliders only - a body's moves with it
+  }
+
+  center() {
+    return this.body ? this.body.position : this.position;
+  }
+}
+
+class EventQueue {
+  constructor() {
+    this.events = [];
+  }
+
+  /**
+   * @param {(handle1: number, handle2: number, started: boolean) => void} callback
+   */
+  drainCollisionEvents(callback) {
+    const events = this.events;
+    this.events = [];
+    events.forEach(([handle1, handle2, started]) => callback(handle1, handle2, started));
+  }
+
+  free() {
+    this.events = [];
+  }
+}
+
+class World {
+  constructor(gravity) {
+    this.gravity = { ...gravity };
+    this.timestep = 1 / 60;
+    this.bodies = new Set();
+    this.colliders = new Map(); // Handle -> collider
+    this.contacts = new Map();  // Pair key -> [handle1, handle2] touching after the last step
+  }
+
+  createRigidBody(desc) {
+    const body = new RigidBody(desc);
+    this.bodies.add(body);
+    return body;
+  }
+
+  createCollider(desc, body = null) {
+    const collider = new Collider(desc, body);
+    if (body) {
+      body.collider = collider;
+      body.mass = desc.density * desc.halfWidth * desc.halfHeight * 4;
+    }
+    this.colliders.set(collider.handle, collider);
+    return collider;
+  }
+
+  removeCollider(collider) {
+    this.colliders.delete(collider.handle);
+    this.forgetContacts(collider.handle);
+  }
+
+  removeRigidBody(body) {
+    this.bodies.delete(body);
+    if (body.collider) this.removeCollider(body.collider);
+  }
+
+  // Drop a collider's contacts and wake whatever it was holding up
+  forgetContacts(handle) {
+    this.contacts.forEach(([handle1, handle2], key) => {
+      if (handle1 !== handle && handle2 !== handle) return;
+      this.contacts.delete(key);
+      const other = this.colliders.get(handle1 === handle ? handle2 : handle1);
+      if (other && other.body) other.body.wakeUp();
+    });
+  }
+
+  /**
+   * Call back with each collider whose box holds a point, until the callback returns false
+   * @param {{x: number, y: number}} point
+   * @param {(collider: Collider) => boolean} callback
+   */
+  intersectionsWithPoint(point, callback) {
+    for (const collider of this.colliders.values()) {
+      const center = collider.center();
+      if (Math.abs(point.x - center.x) > collider.halfWidth) continue;
+      if (Math.abs(point.y - center.y) > collider.halfHeight) continue;
+      if (!callback(collider)) return;
+    }
+  }
+
+  free() {
+    this.bodies.clear();
+    this.colliders.clear();
+    this.contacts.clear();
+  }
+
+  /**
+   * Advance one timestep and queue the contacts that started or stopped
+   * @param {EventQueue} [eventQueue]
+   */
+  step(eventQueue) {
+    const dt = this.timestep;
+
+    this.bodies.forEach(body => {
+      if (body.sleeping) return;
+      body.previous = { ...body.position };
+      body.velocity.x += this.gravity.x * dt;
+      body.velocity.y += this.gravity.y * dt;
+      const linearKeep = Math.max(0, 1 - body.linearDamping * dt);
+      body.velocity.x *= linearKeep;
+      body.velocity.y *= linearKeep;
+      body.position.x += body.velocity.x * dt;
+      body.position.y += body.velocity.y * dt;
+
+      body.spin *= Math.max(0, 1 - body.angularDamping * dt);
+      if (body.touching) {
+        body.spin *= SETTLE_SPIN_DAMPING;
+        body.angle += (nearestQuarterTurn(body.angle) - body.angle) * SETTLE_TURN_RATE;
+      }
+      body.angle += body.spin * dt;
+      body.touching = false;
+    });
+
+    // Bottom of the pile first; the last pass holds each lower cube still so whatever
+    // rests on it ends up on top instead of pressing it into the floor
+    const pairs = this.findPairs().sort(([a1, b1], [a2, b2]) =>
+      Math.max(a2.center().y, b2.center().y) - Math.max(a1.center().y, b1.center().y)
+    );
+    for (let pass = 0; pass < SOLVER_PASSES; pass++) {
+      pairs.forEach(([a, b]) => this.separate(a, b, pass === 0, pass === SOLVER_PASSES - 1));
+    }
+
+    this.updateContacts(pairs, eventQueue);
+    this.updateSleep(dt);
+  }
+
+  // Sweep along x for colliders whose boxes are within the contact margin of each other
+  findPairs() {
+    const sorted = [...this.colliders.values()].sort(
+      (a, b) => (a.center().x - a.halfWidth) - (b.center().x - b.halfWidth)
+    );
+    const pairs = [];
+    for (let i = 0; i < sorted.length; i++) {
+      const a = sorted[i];
+      const aCenter = a.center();
+      const aRight = aCenter.x + a.halfWidth + CONTACT_MARGIN;
+      for (let j = i + 1; j < sorted.length; j++) {
+        const b = sorted[j];
+        const bCenter = b.center();
+        if (bCenter.x - b.halfWidth > aRight) break;
+        if (!a.body && !b.body) continue;
+        if ((!a.body || a.body.sleeping) && (!b.body || b.body.sleeping)) continue;
+        if (Math.abs(aCenter.y - bCenter.y) > a.halfHeight + b.halfHeight + CONTACT_MARGIN) continue;
+        pairs.push([a, b]);
+      }
+    }
+    return pairs;
+  }
+
+  // Push two overlapping boxes apart along the shallower axis and cancel the
+  // approaching velocity (bouncing on the first pass only, so stacks come to rest)
+  separate(a, b, bounce, holdLower) {
+    const aCenter = a.center();
+    const bCenter = b.center();
+    const dx = bCenter.x - aCenter.x;
+    const dy = bCenter.y - aCenter.y;
+    const overlapX = a.halfWidth + b.halfWidth - Math.abs(dx);
+    const overlapY = a.halfHeight + b.halfHeight - Math.abs(dy);
+    if (overlapX <= 0 || overlapY <= 0) return;
+
+    // Normal from a towards b
+    const alongX = overlapX < overlapY;
+    const normal = alongX ? { x: Math.sign(dx) || 1, y: 0 } : { x: 0, y: Math.sign(dy) || 1 };
+    const depth = alongX ? overlapX : overlapY;
+
+    const bodyA = a.body;
+    const bodyB = b.body;
+    const velA = bodyA ? bodyA.velocity : { x: 0, y: 0 };
+    const velB = bodyB ? bodyB.velocity : { x: 0, y: 0 };
+    const approach = (velA.x - velB.x) * normal.x + (velA.y - velB.y) * normal.y;
+
+    // A hard enough hit wakes a sleeping cube; otherwise it holds like the floor
+    [bodyA, bodyB].forEach(body => {
+      if (body && body.sleeping && approach > WAKE_SPEED) body.wakeUp();
+    });
+    let inverseA = bodyA && !bodyA.sleeping ? 1 / bodyA.mass : 0;
+    let inverseB = bodyB && !bodyB.sleeping ? 1 / bodyB.mass : 0;
+    if (holdLower && !alongX && inverseA > 0 && inverseB > 0) {
+      if (normal.y > 0) inverseB = 0;
+      else inverseA = 0;
+    }
+    const inverseTotal = inverseA + inverseB;
+    if (inverseTotal === 0) return;
+
+    const shareA = inverseA / inverseTotal;
+    const shareB = inverseB / inverseTotal;
+    if (bodyA) {
+      bodyA.position.x -= normal.x * depth * shareA;
+      bodyA.position.y -= normal.y * depth * shareA;
+      bodyA.touching = true;
+    }
+    if (bodyB) {
+      bodyB.position.x += normal.x * depth * shareB;
+      bodyB.position.y += normal.y * depth * shareB;
+      bodyB.touching = true;
+    }
+    // Resting with its center past the edge of the cube below? Slide off that side
+    if (bounce && !alongX && bodyA && bodyB) {
+      const [upper, lower] = normal.y > 0 ? [b, a] : [a, b];
+      const overhang = upper.center().x - lower.center().x;
+      if (Math.abs(overhang) > lower.halfWidth && !upper.body.sleeping) {
+        upper.body.velocity.x += Math.sign(overhang) * TIP_ACCEL * this.timestep;
+      }
+    }
+    if (approach <= 0) return;
+
+    const restitution = bounce && approach > BOUNCE_SPEED ? (a.restitution + b.restitution) / 2 : 0;
+    const friction = (a.friction + b.friction) / 2;
+    const impulse = (1 + restitution) * approach / inverseTotal;
+
+    // Friction works against the sliding speed, capped by the normal impulse
+    const tangent = { x: -normal.y, y: normal.x };
+    const slide = (velA.x - velB.x) * tangent.x + (velA.y - velB.y) * tangent.y;
+    const frictionImpulse = Math.sign(slide) * Math.min(Math.abs(slide) / inverseTotal, friction * impulse);
+
+    if (inverseA > 0) {
+      velA.x -= (normal.x * impulse + tangent.x * frictionImpulse) * inverseA;
+      velA.y -= (normal.y * impulse + tangent.y * frictionImpulse) * inverseA;
+    }
+    if (inverseB > 0) {
+      velB.x += (normal.x * impulse + tangent.x * frictionImpulse) * inverseB;
+      velB.y += (normal.y * impulse + tangent.y * frictionImpulse) * inverseB;
+    }
+  }
+
+  // Compare who touches whom with the last step and queue the differences
+  updateContacts(pairs, eventQueue) {
+    const touching = new Map();
+    pairs.forEach(([a, b]) => {
+      const aCenter = a.center();
+      const bCenter = b.center();
+      const gapX = Math.abs(bCenter.x - aCenter.x) - a.halfWidth - b.halfWidth;
+      const gapY = Math.abs(bCenter.y - aCenter.y) - a.halfHeight - b.halfHeight;
+      if (gapX < CONTACT_MARGIN && gapY < CONTACT_MARGIN) {
+        touching.set(pairKey(a.handle, b.handle), [a.handle, b.handle]);
+      }
+    });
+
+    // Pairs of two sleeping cubes aren't checked - they keep whatever they had
+    this.contacts.forEach((handles, key) => {
+      if (touching.has(key)) return;
+      const [a, b] = handles.map(handle => this.colliders.get(handle));
+      const idle = (!a.body || a.body.sleeping) && (!b.body || b.body.sleeping);
+      if (idle) {
+        touching.set(key, handles);
+        return;
+      }
+      // Something moved away - whatever rested on it has to fall now
+      [a, b].forEach(collider => {
+        if (collider.body) collider.body.wakeUp();
+      });
+      if (eventQueue) eventQueue.events.push([handles[0], handles[1], false]);
+    });
+    if (eventQueue) {
+      touching.forEach((handles, key) => {
+        if (!this.contacts.has(key)) eventQueue.events.push([handles[0], handles[1], true]);
+      });
+    }
+    this.contacts = touching;
+  }
+
+  // Stillness goes by how far a cube actually moved - a cube resting in a stack keeps
+  // a little velocity that the next step's contacts take away again
+  updateSleep(dt) {
+    this.bodies.forEach(body => {
+      if (body.sleeping) return;
+      const speed = Math.hypot(body.position.x - body.previous.x, body.position.y - body.previous.y) / dt;
+      const squared = Math.abs(nearestQuarterTurn(body.angle) - body.angle) < 0.01;
+      if (speed < SLEEP_SPEED && Math.abs(body.spin) < SLEEP_SPEED && (squared || !body.touching)) {
+        body.stillSteps++;
+      } else {
+        body.stillSteps = 0;
+      }
+      if (body.stillSteps >= SLEEP_STEPS) {
+        body.sleeping = true;
+        body.velocity = { x: 0, y: 0 };
+        body.spin = 0;
+      }
+    });
+  }
+}
+
+/**
+ * The Rapier-shaped engine physics.js falls back to
+ */
+export const FallbackPhysics = {
+  ActiveEvents: { COLLISION_EVENTS: 1 },
+  RigidBodyDesc,
+  ColliderDesc,
+  EventQueue,
+  World,
+  init: async () => {}
+};
@@ -0,0 +1,464 @@
+/**
+ * Physics Host
+ *
+ * The page side of a physics pile, and what the fidget mounts. It measures the layout,
+ * saves and restores the pile, and runs the world (physics.js) in a worker that draws
+ * to an OffscreenCanvas (physics-worker.js), so stepping and drawing a big pile never
+ * hold up the die. Browsers without OffscreenCanvas, or a worker that fails to start,
+ * get the same world on the main thread instead.
+ *
+ * Either way plays the same: the RNG rolls happen here (cube launches, and the seeds
+ * for the pile tax and scatter), and ticks and commands reach the world in the order
+ * they were made, so a recording replays identically in both. With a worker the pile
+ * totals arrive a frame late and getSnapshot() can trail the world by half a second;
+ * requestSnapshot() waits for an exact one.
+ */
+
+import { DEFAULT_MAX_BODIES, createPhysicsWorld, rollLaunch, runCommand } from './physics.js';
+import { pageStorage } from './shared.js';
+import { getTierTable } from './tiers.js';
+
+export { DEFAULT_MAX_BODIES };
+
+const WORKER_URL = new URL('./physics-worker.js', import.meta.url);
+const PILE_STORAGE_KEY = 'loot-pile';
+const RESIZE_DEBOUNCE_MS = 100;
+const MAX_DPR = 2;
+
+// The viewport and bucket as the world needs them (see createPhysicsWorld)
+function readLayout(bucket) {
+  const { left, right, top, bottom } = bucket.getBoundingClientRect();
+  return {
+    width: window.innerWidth,
+    height: window.innerHeight,
+    dpr: Math.min(window.devicePixelRatio, MAX_DPR),
+    bucket: { left, right, top, bottom }
+  };
+}
+
+// Seed for a tax or scatter, so the world can roll it wherever it runs
+function drawSeed(random) {
+  return Math.floor(random() * 0x100000000);
+}
+
+function canUseWorker(canvas) {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+    typeof canvas.transferControlToOffscreen === 'function';
+}
+
+// Run the world right here
+async function startInline({ canvas, layout, pile, maxBodies, emit }) {
+  const physics = await createPhysicsWorld({ canvas, layout, pile, maxBodies });
+  if (!physics) return null;
+
+  physics.onPileChange(pileTotals => emit('pile', pileTotals));
+  physics.onCubeFuse(fusion => emit('fuse', fusion));
+  physics.onCubeImpact(impact => emit('impact', impact));
+  physics.onBucketChange(bucket => emit('bucket', bucket));
+  return {
+    send: (...command) => runCommand(physics, command),
+    tax: (fraction, seed) => Promise.resolve(runCommand(physics, ['tax', fraction, seed])),
+    requestSnapshot: () => Promise.resolve(physics.getSnapshot()),
+    render: physics.render,
+    getPile: physics.getPile,
+    getPileCounts: physics.getPileCounts,
+    getBucket: physics.getBucket,
+    getSnapshot: physics.getSnapshot,
+    destroy: physics.destroy
+  };
+}
+
+// Run the world in a worker; resolves null when it can't start there
+function startWorker({ canvas, layout, pile, maxBodies, emit }) {
+  return new Promise(resolve => {
+    let worker;
+    try {
+      worker = new Worker(WORKER_URL, { type: 'module' });
+    } catch (e) {
+      resolve(null);
+      return;
+    }
+
+    let ready = false;
+    let queue = [];        // Commands since the last frame
+    const taxes = [];      // Resolvers for taxes in flight, answered in order
+    const snapshots = [];  // Resolvers for snapshot requests in flight, answered in order
+    let totals = null;     // Latest { pile, counts } from the worker
+    let bucket = null;     // Latest bucket state from the worker
+    let snapshot = null;   // Latest snapshot from the worker (or the one just loaded)
+
+    const backend = {
+      send(...command) {
+        queue.push(command);
+        // Keep the copy in step with what the world is about to become
+        if (command[0] === 'load') snapshot = command[1];
+        if (command[0] === 'clear') snapshot = { ...snapshot, packed: [], cubes: [] };
+      },
+      tax(fraction, seed) {
+        return new Promise(resolveTax => {
+          taxes.push(resolveTax);
+          queue.push(['tax', fraction, seed]);
+        });
+      },
+      requestSnapshot() {
+        return new Promise(resolveSnapshot => {
+          snapshots.push(resolveSnapshot);
+          queue.push(['snapshot']);
+          // Send now rather than with the next frame - a hidden page has no frames
+          worker.postMessage({ type: 'commands', commands: queue });
+          queue = [];
+        });
+      },
+      render(t) {
+        worker.postMessage({ type: 'frame', commands: queue, t });
+        queue = [];
+      },
+      getPile: () => totals.pile,
+      getPileCounts: () => ({ ...totals.counts }),
+      getBucket: () => ({ ...bucket }),
+      getSnapshot: () => snapshot,
+      destroy: () => worker.terminate()
+    };
+
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'ready') {
+        ready = true;
+        totals = { pile: data.pile, counts: data.counts };
+        bucket = data.bucket;
+        snapshot = data.snapshot;
+        resolve(backend);
+      } else if (data.type === 'failed') {
+        console.warn(`[physics] Worker failed to start (${data.message}), running on the main thread`);
+        worker.terminate();
+        resolve(null);
+      } else if (data.type === 'update') {
+        totals = { pile: data.pile, counts: data.counts };
+        if (data.snapshot) snapshot = data.snapshot;
+        data.events.forEach(([name, payload]) => {
+          if (name === 'taxed') {
+            taxes.shift()(payload);
+            return;
+          }
+          if (name === 'snapshot') {
+            snapshot = payload;
+            snapshots.shift()(payload);
+            return;
+          }
+          if (name === 'bucket') bucket = payload;
+          emit(name, payload);
+        });
+      }
+    });
+    worker.addEventListener('error', event => {
+      if (ready) {
+        console.warn('[physics] Worker error:', event.message);
+        return;
+      }
+      console.warn('[physics] Worker failed to load, running on the main thread');
+      worker.terminate();
+      resolve(null);
+    });
+
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage(
+      { type: 'init', canvas: offscreen, layout, pile, maxBodies, tierTable: getTierTable() },
+      [offscreen]
+    );
+  });
+}
+
+/**
+ * Create a physics pile and restore the saved pile into it
+ * @param {object} options
+ * @param {HTMLCanvasElement|null} options.canvas - Full-viewport overlay canvas
+ * @param {Element} options.bucket - Element whose bottom edge is the floor
+ * @param {string} [options.storagePrefix] - Prefix for the saved pile
+ * @param {object} [options.storage] - Where to save (localStorage by default, see shared.js)
+ * @param {number} [options.maxBodies] - Cubes kept as physics bodies before the oldest
+ *   common ones are packed (Infinity never packs)
+ * @param {() => number} options.random - The instance's RNG (rng.js), for cube launches
+ * @returns {Promise<object|null>} The instance, or null when the canvas is unusable
+ */
+export async function createPhysics({
+  canvas,
+  bucket,
+  storagePrefix = '',
+  storage = pageStorage,
+  maxBodies = DEFAULT_MAX_BODIES,
+  random
+}) {
+  if (!canvas) {
+    console.warn('[physics] Canvas unavailable');
+    return null;
+  }
+
+  const storageKey = storagePrefix + PILE_STORAGE_KEY;
+  const listeners = { pile: new Set(), fuse: new Set(), impact: new Set(), bucket: new Set() };
+  const emit = (name, payload) => listeners[name].forEach(listener => listener(payload));
+  let resizeTimeout = null;
+  const controller = new AbortController(); // Aborting removes every DOM listener
+  const { signal } = controller;
+
+  // The canvas keeps its CSS size here - its pixel size belongs to the world
+  let layout = readLayout(bucket);
+  function sizeCanvas() {
+    canvas.style.width = layout.width + 'px';
+    canvas.style.height = layout.height + 'px';
+  }
+  sizeCanvas();
+
+  let pile = null;
+  try {
+    pile = JSON.parse(storage.getItem(storageKey));
+  } catch (e) {
+    // Unavailable storage or corrupt JSON - start with an empty pile
+  }
+
+  let backend = null;
+  if (canUseWorker(canvas)) {
+    backend = await startWorker({ canvas, layout, pile, maxBodies, emit });
+    if (!backend) {
+      // The canvas was handed to the worker for good - draw on a fresh copy
+      const fresh = canvas.cloneNode(false);
+      canvas.replaceWith(fresh);
+      canvas = fresh;
+      sizeCanvas();
+    }
+  }
+  backend ??= await startInline({ canvas, layout, pile, maxBodies, emit });
+  if (!backend) return null;
+
+  function savePile(data) {
+    try {
+      if (data.cubes.length === 0 && data.packed.length === 0) {
+        storage.removeItem(storageKey);
+      } else {
+        storage.setItem(storageKey, JSON.stringify(data));
+      }
+    } catch (e) {
+      // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+    }
+  }
+
+  function resize() {
+    layout = readLayout(bucket);
+    sizeCanvas();
+    backend.send('resize', layout);
+  }
+
+  function scheduleResize() {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(resize, RESIZE_DEBOUNCE_MS);
+  }
+  window.addEventListener('resize', scheduleResize, { signal });
+
+  // The bucket walls follow the bucket when the layout moves it without a window resize
+  const bucketObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(scheduleResize) : null;
+  if (bucketObserver) bucketObserver.observe(bucket);
+
+  // Save the pile whenever the page may be discarded. Hiding leaves the worker time to
+  // answer with the exact pile; pagehide and destroy can't wait, so they save the latest.
+  window.addEventListener('pagehide', () => savePile(backend.getSnapshot()), { signal });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'hidden') return;
+    backend.requestSnapshot().then(data => {
+      if (!destroyed) savePile(data);
+    });
+  }, { signal });
+
+  let destroyed = false;
+
+  return {
+    /**
+     * Spawn a physics cube for a loot drop
+     * @param {number} tier - Loot tier (1 = rarest)
+     * @param {number} originX - Starting X position
+     * @param {number} originY - Starting Y position
+     */
+    spawnCube(tier, originX, originY) {
+      if (destroyed) {
+        console.warn('[physics] spawnCube called after destroy');
+        return;
+      }
+      backend.send('spawn', tier, rollLaunch(originX, originY, layout.bucket, random));
+    },
+
+    /**
+     * Push cubes away from a click/tap; clicks near the floor also bounce nearby cubes up
+     * @param {number} x - Screen X coordinate
+     * @param {number} y - Screen Y coordinate
+     */
+    pulse(x, y) {
+      if (!destroyed) backend.send('pulse', x, y);
+    },
+
+    /**
+     * Pick up the cube under a pointer (a pulse when there is none)
+     * @param {number} id - Pointer id (each pointer holds at most one cube)
+     * @param {number} x - Screen X coordinate
+     * @param {number} y - Screen Y coordinate
+     */
+    grab(id, x, y) {
+      if (!destroyed) backend.send('grab', id, x, y);
+    },
+
+    /**
+     * Move a held cube's pointer
+     * @param {number} id - Pointer id
+     * @param {number} x - Screen X coordinate
+     * @param {number} y - Screen Y coordinate
+     */
+    drag(id, x, y) {
+      if (!destroyed) backend.send('drag', id, x, y);
+    },
+
+    /**
+     * Let go of a held cube, throwing it with the pointer's recent speed
+     * @param {number} id - Pointer id
+     */
+    release(id) {
+      if (!destroyed) backend.send('release', id);
+    },
+
+    /**
+     * Advance the world by one simulation tick
+     */
+    step() {
+      if (!destroyed) backend.send('step');
+    },
+
+    /**
+     * Draw the pile (with a worker: hand it everything since the last frame)
+     * @param {number} [t] - Interpolation between the previous and current step (0..1)
+     */
+    render(t = 1) {
+      if (!destroyed) backend.render(t);
+    },
+
+    /**
+     * Remove every cube from the world and forget the saved pile
+     */
+    clearPile() {
+      if (destroyed) return;
+      backend.send('clear');
+      try {
+        storage.removeItem(storageKey);
+      } catch (e) {
+        // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+      }
+    },
+
+    /**
+     * Take a share of the pile away (the overcharge miss penalty)
+     * @param {number} fraction - Share of the cubes to remove, rounded up
+     * @param {() => number} random - RNG the cubes are picked with (one draw, for a seed)
+     * @returns {Promise<number[]>} Tier ids of the removed cubes
+     */
+    taxPile(fraction, random) {
+      return destroyed ? Promise.resolve([]) : backend.tax(fraction, drawSeed(random));
+    },
+
+    /**
+     * Fling a share of the pile up and sideways (the fumble penalty)
+     * @param {number} fraction - Share of the cube bodies to fling, rounded up
+     * @param {() => number} random - RNG the cubes are picked with (one draw, for a seed)
+     */
+    scatterPile(fraction, random) {
+      if (!destroyed) backend.send('scatter', fraction, drawSeed(random));
+    },
+
+    /**
+     * Subscribe to pile changes (spawn, landing, restore, clear)
+     * @param {(pile: {count: number, points: number}) => void} listener - Called with
+     *   the cube count and the points of every landed cube
+     */
+    onPileChange(listener) {
+      listeners.pile.add(listener);
+    },
+
+    /**
+     * Subscribe to fusions
+     * @param {(fusion: {tier: number, x: number, y: number}) => void} listener - Called with
+     *   the new tier and its screen position
+     */
+    onCubeFuse(listener) {
+      listeners.fuse.add(listener);
+    },
+
+    /**
+     * Subscribe to cubes hitting the floor
+     * @param {(impact: {tier: number, x: number, velocity: number}) => void} listener - Called
+     *   with the cube's tier, screen x and impact speed (physics units/s)
+     */
+    onCubeImpact(listener) {
+      listeners.impact.add(listener);
+    },
+
+    /**
+     * Subscribe to the bucket filling up, emptying or overflowing
+     * @param {(bucket: {fill: number, overflowing: boolean}) => void} listener - Called
+     *   with the new state (see getBucket)
+     */
+    onBucketChange(listener) {
+      listeners.bucket.add(listener);
+    },
+
+    /**
+     * Current pile totals (same shape as the onPileChange payload). Packed cubes count.
+     * @returns {{count: number, points: number}}
+     */
+    getPile: () => backend.getPile(),
+
+    /**
+     * Cubes in the pile per tier
+     * @returns {Object<number, number>} Tier id -> count (tiers without cubes are left out)
+     */
+    getPileCounts: () => backend.getPileCounts(),
+
+    /**
+     * How full the bucket is (1 = to the rim, more once heaped above it) and whether
+     * cubes are spilling out
+     * @returns {{fill: number, overflowing: boolean}}
+     */
+    getBucket: () => backend.getBucket(),
+
+    /**
+     * Serializable copy of the pile - the shape it is saved in (see physics.js). With a
+     * worker it is the latest one sent, up to half a second old.
+     * @returns {object}
+     */
+    getSnapshot: () => backend.getSnapshot(),
+
+    /**
+     * Serializable copy of the pile as it is right now, once the world has caught up
+     * with everything sent to it
+     * @returns {Promise<object>}
+     */
+    requestSnapshot() {
+      return destroyed ? Promise.resolve(backend.getSnapshot()) : backend.requestSnapshot();
+    },
+
+    /**
+     * Throw the world away and rebuild it from a snapshot, with simulated time back
+     * at zero. Two piles loaded from the same snapshot step identically from here.
+     * @param {object} data - Snapshot from getSnapshot()
+     */
+    loadSnapshot(data) {
+      if (!destroyed) backend.send('load', data);
+    },
+
+    /**
+     * Save the pile, remove listeners and stop the world
+     */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      savePile(backend.getSnapshot());
+      controller.abort();
+      if (bucketObserver) bucketObserver.disconnect();
+      clearTimeout(resizeTimeout);
+      Object.values(listeners).forEach(set => set.clear());
+      backend.destroy();
+    }
+  };
+}
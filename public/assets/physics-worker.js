@@ -0,0 +1,113 @@
+/**
+ * Physics Worker
+ *
+ * Runs a physics pile (physics.js) off the main thread, drawing into the OffscreenCanvas
+ * that physics-host.js hands over. The host batches everything since the last frame -
+ * ticks, spawns, pulses, resizes - into one message, so the world sees it all in the
+ * order it would on the main thread. The worker answers with the pile's events and
+ * totals, plus a fresh snapshot every so often for saving. A host that can't wait for
+ * the next frame (a recording starting, a hidden page) sends its commands on their own.
+ *
+ * In:  init { canvas, layout, pile, maxBodies, tierTable }
+ *      frame { commands: [[name, ...args], ...], t }     (commands: see physics.js)
+ *      commands { commands }                            (run now, without drawing)
+ * Out: ready { pile, counts, bucket, snapshot } | failed { message }
+ *      update { events: [[name, payload], ...], pile, counts, snapshot|null }
+ *      events: pile, fuse, impact, bucket (as the physics.js listeners), taxed (tax
+ *      results) and snapshot (answers to snapshot commands), each in order
+ */
+
+import { createPhysicsWorld, runCommand } from './physics.js';
+import { setTierTable } from './tiers.js';
+import { TICK_MS } from './clock.js';
+
+const SNAPSHOT_INTERVAL_MS = 500;      // Simulated time between snapshots while the pile moves
+
+// Commands whose results go back to the host, and the event each answers with
+const ANSWERS = { tax: 'taxed', snapshot: 'snapshot' };
+
+// State
+let physics = null;
+let events = [];             // Collected during a frame, posted at its end
+let sinceSnapshot = 0;       // Simulated ms since the last snapshot went out
+let snapshotStale = false;   // The pile changed or moved since the last snapshot
+
+async function init({ canvas, layout, pile, maxBodies, tierTable }) {
+  try {
+    setTierTable(tierTable);
+    physics = await createPhysicsWorld({ canvas, layout, pile, maxBodies });
+  } catch (error) {
+    self.postMessage({ type: 'failed', message: error.message });
+    return;
+  }
+  if (!physics) {
+    self.postMessage({ type: 'failed', message: 'OffscreenCanvas has no 2d context' });
+    return;
+  }
+
+  physics.onPileChange(pileTotals => {
+    events.push(['pile', pileTotals]);
+    snapshotStale = true;
+  });
+  physics.onCubeFuse(fusion => events.push(['fuse', fusion]));
+  physics.onCubeImpact(impact => events.push(['impact', impact]));
+  physics.onBucketChange(bucket => events.push(['bucket', bucket]));
+  self.postMessage({
+    type: 'ready',
+    pile: physics.getPile(),
+    counts: physics.getPileCounts(),
+    bucket: physics.getBucket(),
+    snapshot: physics.getSnapshot()
+  });
+}
+
+function runCommands(commands) {
+  commands.forEach(command => {
+    const result = runCommand(physics, command);
+    if (command[0] === 'step') sinceSnapshot += TICK_MS;
+    if (ANSWERS[command[0]]) events.push([ANSWERS[command[0]], result]);
+  });
+}
+
+function runFrame({ commands, t }) {
+  if (!physics) return;
+
+  runCommands(commands);
+  physics.render(t);
+
+  if (!physics.isSettled()) snapshotStale = true;
+  let snapshot = null;
+  if (snapshotStale && sinceSnapshot >= SNAPSHOT_INTERVAL_MS) {
+    snapshot = physics.getSnapshot();
+    snapshotStale = false;
+    sinceSnapshot = 0;
+  }
+  postUpdate(snapshot);
+}
+
+// Commands that can't wait for the next frame - the frame draws whatever they changed
+function runNow({ commands }) {
+  if (!physics) return;
+
+  runCommands(commands);
+  postUpdate(null);
+}
+
+function postUpdate(snapshot) {
+  if (events.length === 0 && !snapshot) return;
+
+  self.postMessage({
+    type: 'update',
+    events,
+    pile: physics.getPile(),
+    counts: physics.getPileCounts(),
+    snapshot
+  });
+  events = [];
+}
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'init') init(data);
+  else if (data.type === 'frame') runFrame(data);
+  else if (data.type === 'commands') runNow(data);
+});
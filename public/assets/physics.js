@@ -2,29 +2,42 @@
  * Physics Loot System
  *
  * Rapier physics engine for cube loot that accumulates on screen.
+ * Same-tier cubes resting against each other fuse into the next rarer tier.
+ * Each createPhysicsWorld() call owns its own world, canvas and pile; the owner steps
+ * it once per simulation tick (see clock.js) and renders it once per frame.
+ *
+ * No DOM: the page layout comes in through resize() and saving is left to the owner,
+ * so the same code runs on the main thread or in a worker against an OffscreenCanvas
+ * (see physics-host.js, which is what the fidget mounts).
+ *
+ * Big piles stay cheap: sleeping cubes are drawn once into a cached layer and only
+ * awake ones are redrawn each frame, batched into one path per tier. Past the body
+ * budget (maxBodies) the oldest common cubes are packed out of the world - they keep
+ * counting toward the pile and its points, shown as a per-tier tally instead.
+ *
+ * The bucket is physical: a floor and two side walls up to the rim, measured from the
+ * bucket element, with the page floor below for whatever spills over. New loot arcs
+ * into the bucket. Its fill (the cubes' area against the bucket's) and whether it is
+ * overflowing are reported through onBucketChange().
+ *
+ * Cubes can be picked up: grab() takes the cube under a pointer (or pulses when there
+ * is none), drag() moves the point it follows and release() throws it with the
+ * pointer's recent speed. Several pointers can hold a cube each.
+ *
+ * Rapier ships with the artifact (assets/vendor, see scripts/vendor-rapier.mjs) and is
+ * imported on first use. If it doesn't load in time the pile runs on the built-in
+ * fallback engine (physics-fallback.js) instead - boxier, but the loot still lands.
  */
 
-import RAPIER from 'https://cdn.jsdelivr.net/npm/@dimforge/rapier2d-compat@0.14.0/+esm';
-
-// Tier definitions with sizes and point values
-// Warm palette: gold → amethyst → azure → mint → silver → bronze → ash
-const TIER_CONFIG = {
-  1: { name: 'JAWESOME', size: 24, points: 100, color: '#F5C66A' },
-  2: { name: 'SHEESH', size: 20, points: 50, color: '#B58CFF' },
-  3: { name: 'BASED', size: 18, points: 25, color: '#5FA8FF' },
-  4: { name: 'DOPE', size: 16, points: 10, color: '#62D49A' },
-  5: { name: 'DECENT', size: 14, points: 5, color: '#A7B0BA' },
-  6: { name: 'ZZZ', size: 12, points: 2, color: '#B88B5A' },
-  7: { name: 'TRASH', size: 10, points: 1, color: '#4E4A46' }
-};
+import { FallbackPhysics } from './physics-fallback.js';
+import { createRandom } from './rng.js';
+import { getTier } from './tiers.js';
+import { TICK_MS } from './clock.js';
 
 // Physics constants
-const WALL_THICKNESS = 20;
+const FLOOR_THICKNESS = 20;
 const PIXELS_PER_METER = 80;           // Scale factor for physics
 const GRAVITY_MULTIPLIER = 1.8;        // Snappier feel than default 9.81
-const DELTA_CAP_MS = 50;               // Max physics step to handle tab backgrounding
-const PHYSICS_TIMESTEP = 1 / 60;
-const MAX_SUBSTEPS = 4;
 
 // Pulse interaction constants
 const PULSE_BASE_STRENGTH = 8;         // Base radial pulse strength
@@ -35,6 +48,23 @@ const FLOOR_CLICK_THRESHOLD = 80;      // Max pixels from floor to trigger floor
 const FLOOR_BOOST_DISTANCE = 60;       // Max cube distance from floor for boost
 const FLOOR_BOOST_HORIZONTAL = 80;     // Max horizontal distance for floor boost
 const FLOOR_BOOST_STRENGTH = 3;        // Extra upward impulse when clicking near floor
+const SCATTER_IMPULSE = 0.5;           // Fumble scatter: upward impulse for a mid-tier cube
+const SCATTER_SIDEWAYS = 0.6;          // ...and the most sideways, as a share of that
+const SCATTER_SPIN = 6;                // Max spin given to a flung cube (rad/s, either way)
+
+// Grabbing - a held cube is steered toward the pointer by its velocity each tick
+const GRAB_SLOP = 12;                  // Pixels off a cube that still pick it up (fingers)
+const GRAB_STIFFNESS = 20;             // Speed toward the pointer per unit of gap (1/s)
+const GRAB_MAX_SPEED = 25;             // Fastest a held cube chases the pointer (physics units/s)
+const GRAB_SPIN_KEEP = 0.8;            // Spin kept per tick while held
+const THROW_WINDOW_MS = 100;           // Pointer motion this far back sets the throw
+const THROW_MAX_SPEED = 20;            // Fastest throw (physics units/s)
+
+// Bucket - walls grow outward from its edges, so the inside matches the element
+const BUCKET_WALL_THICKNESS = 12;
+const BUCKET_PACKING = 0.75;           // Share of the bucket's area cubes cover when it's full
+const BUCKET_CHECK_INTERVAL_MS = 250;  // How often fill and overflow are measured
+const OVERFLOW_FILL = 0.9;             // Landed cubes outside past this fill mean it overflowed
 
 // Containment constants
 const SCREEN_EDGE_PADDING = 10;        // Padding from screen edges
@@ -48,9 +78,34 @@ const IMPACT_GROWTH_RATE = 0.3;        // How fast impacts expand per ms
 const IMPACT_FADE_RATE = 0.004;        // How fast impacts fade per ms
 
 
-// Resize debounce
-let resizeTimeout = null;
-const RESIZE_DEBOUNCE_MS = 100;
+// Landing detection - a cube scores once it slows down or times out
+const LANDED_SPEED = 0.5;              // Physics units/s below which a cube counts as landed
+const LANDED_MIN_AGE_MS = 250;         // Ignore the slow apex right after spawning
+const LANDED_MAX_AGE_MS = 2000;        // Score anyway if a cube never settles
+
+// Fusion - K resting same-tier cubes in contact merge into one cube of the next rarer tier
+const FUSE_COUNT = 3;                  // Cubes consumed per fusion
+const FUSE_REST_MS = 1200;             // How long the group must rest in contact
+const FUSE_CHECK_INTERVAL_MS = 200;    // How often the contact graph is scanned
+const FUSE_POP_VELOCITY = 1.2;         // Upward velocity of the fused cube (physics units/s)
+
+// Body budget - packing goes a little below it so it doesn't run on every drop
+export const DEFAULT_MAX_BODIES = 500;
+const PACK_SLACK = 0.1;                // Pack down to 90% of the budget
+
+// Packed tally, drawn in the bucket's top-left corner
+const TALLY_SWATCH = 8;
+const TALLY_FONT = '10px ui-monospace, SFMono-Regular, Menlo, monospace';
+
+// Pile snapshots (bump the version when the saved shape changes)
+const PILE_STORAGE_VERSION = 2;
+const READABLE_PILE_VERSIONS = [1, PILE_STORAGE_VERSION]; // v1 had no packed cubes
+
+// Spawn arc - each cube is lobbed over to a random point on the rim
+const SPAWN_JITTER = 20;               // Max offset from the origin (px, either way)
+const SPAWN_ARC_MIN = 30;              // Apex height above the origin or rim, whichever is higher (px)
+const SPAWN_ARC_RANGE = 60;
+const SPAWN_RIM_MARGIN = 16;           // Keep aim points this far in from the walls (px)
 
 // Darken a hex color by a factor (0 = black, 1 = original)
 function darkenColor(hex, factor) {
@@ -63,200 +118,299 @@ function darkenColor(hex, factor) {
   return `#${dr.toString(16).padStart(2, '0')}${dg.toString(16).padStart(2, '0')}${db.toString(16).padStart(2, '0')}`;
 }
 
-// State
-let world = null;
-let floorCollider = null;
-let floorHandle = null;
-let canvas = null;
-let ctx = null;
-let cubes = []; // Track our cube bodies with metadata
-let bucketBounds = { left: 0, right: 0, bottom: 0, centerX: 0 };
-let eventQueue = null;
-
-// Impact marks - thin lines that spread from impact
-let impacts = []; // { x, width, alpha, color }
-
 // Convert pixels to physics units
 function toPhysics(px) { return px / PIXELS_PER_METER; }
 function toPixels(m) { return m * PIXELS_PER_METER; }
 
-/**
- * Initialize the physics system
- */
-export async function initPhysics() {
-  canvas = document.getElementById('physicsCanvas');
-  if (!canvas) {
-    console.warn('[physics] Canvas not found');
-    return false;
-  }
-
-  ctx = canvas.getContext('2d');
-  if (!ctx) {
-    console.warn('[physics] Could not get 2D context');
-    return false;
-  }
-
-  // Initialize Rapier WASM
-  await RAPIER.init();
+// Trim saved floats - full precision is noise at pixel scale
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
 
-  // Create physics world with gravity
-  const gravity = { x: 0.0, y: 9.81 * GRAVITY_MULTIPLIER };
-  world = new RAPIER.World(gravity);
+// Engine
+const RAPIER_URL = new URL('./vendor/rapier2d-compat.js', import.meta.url);
+const ENGINE_LOAD_TIMEOUT_MS = 8000;   // Give up on Rapier and use the fallback after this
 
-  // Create event queue for collision detection
-  eventQueue = new RAPIER.EventQueue(true);
+// Rapier (or the fallback) only needs loading once per page (or worker)
+let engineReady = null;
 
-  // Setup canvas size
-  resize();
-  window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(resize, RESIZE_DEBOUNCE_MS);
+async function loadRapier() {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`timed out after ${ENGINE_LOAD_TIMEOUT_MS} ms`)),
+      ENGINE_LOAD_TIMEOUT_MS
+    );
   });
-
-  // Create floor
-  createFloor();
-
-  // Setup click/touch pulse interaction
-  setupPulseInteraction();
-
-  // Start render loop
-  lastTime = performance.now();
-  animate();
-
-  return true;
+  try {
+    const { default: rapier } = await Promise.race([import(RAPIER_URL.href), timeout]);
+    await Promise.race([rapier.init(), timeout]);
+    return rapier;
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
-// Screen boundary constants for containment (updated on resize)
-let screenBounds = { left: SCREEN_EDGE_PADDING, right: 0, top: SCREEN_EDGE_PADDING };
-
-function updateScreenBounds() {
-  screenBounds.left = SCREEN_EDGE_PADDING;
-  screenBounds.right = window.innerWidth - SCREEN_EDGE_PADDING;
-  screenBounds.top = SCREEN_EDGE_PADDING;
+function loadEngine() {
+  engineReady ??= loadRapier().catch(error => {
+    console.warn(`[physics] Rapier failed to load (${error.message}) - using the fallback engine`);
+    return FallbackPhysics;
+  });
+  return engineReady;
 }
 
-function containCube(body, pxX, pxY, physPos, vel) {
-  // Bounce off left edge
-  if (pxX < screenBounds.left) {
-    body.setTranslation({ x: toPhysics(screenBounds.left), y: physPos.y }, true);
-    body.setLinvel({ x: Math.abs(vel.x) * BOUNCE_DAMPING, y: vel.y }, true);
-  }
-  // Bounce off right edge
-  else if (pxX > screenBounds.right) {
-    body.setTranslation({ x: toPhysics(screenBounds.right), y: physPos.y }, true);
-    body.setLinvel({ x: -Math.abs(vel.x) * BOUNCE_DAMPING, y: vel.y }, true);
-  }
-  // Bounce off top edge
-  if (pxY < screenBounds.top) {
-    body.setTranslation({ x: physPos.x, y: toPhysics(screenBounds.top) }, true);
-    body.setLinvel({ x: vel.x, y: Math.abs(vel.y) * BOUNCE_DAMPING }, true);
-  }
-  // Bounce off floor
-  if (pxY > bucketBounds.bottom) {
-    body.setTranslation({ x: physPos.x, y: toPhysics(bucketBounds.bottom) }, true);
-    body.setLinvel({ x: vel.x, y: -Math.abs(vel.y) * BOUNCE_DAMPING }, true);
-  }
+// Cached layers are offscreen wherever that exists (always, inside a worker)
+function createLayerCanvas() {
+  return typeof OffscreenCanvas === 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
 }
 
+/**
+ * Roll how a new cube leaves its origin. Kept apart from spawning so the rolls come
+ * from the caller's RNG even when the world lives in a worker.
+ * @param {number} originX - Screen X coordinate
+ * @param {number} originY - Screen Y coordinate
+ * @param {{left: number, right: number, top: number}} bucket - Bucket to aim for (screen px)
+ * @param {() => number} random - RNG returning [0, 1)
+ * @returns {{x: number, y: number, rotation: number, vx: number, vy: number, av: number}}
+ *   Screen position, angle and physics velocities
+ */
+export function rollLaunch(originX, originY, bucket, random) {
+  // Start from origin with slight random offset
+  const x = originX + (random() - 0.5) * SPAWN_JITTER;
+  const y = originY + (random() - 0.5) * SPAWN_JITTER;
+  const rotation = random() * Math.PI * 2;
+
+  // Lob it up to an apex and down through the rim at the aim point
+  const margin = Math.min(SPAWN_RIM_MARGIN, (bucket.right - bucket.left) / 2);
+  const aimX = bucket.left + margin + random() * (bucket.right - bucket.left - margin * 2);
+  const apexY = Math.min(y, bucket.top) - (SPAWN_ARC_MIN + random() * SPAWN_ARC_RANGE);
+  const gravity = 9.81 * GRAVITY_MULTIPLIER;
+  const rise = toPhysics(y - apexY);
+  const fall = toPhysics(bucket.top - apexY);
+  const flight = Math.sqrt(2 * rise / gravity) + Math.sqrt(2 * fall / gravity);
+  const vx = toPhysics(aimX - x) / flight;
+  const vy = -Math.sqrt(2 * gravity * rise);
 
-let lastTime = 0;
-let accumulator = 0;
+  // Add spin
+  const av = (random() - 0.5) * 2;
+  return { x, y, rotation, vx, vy, av };
+}
 
-function resize() {
-  const dpr = Math.min(window.devicePixelRatio, 2);
-  canvas.width = window.innerWidth * dpr;
-  canvas.height = window.innerHeight * dpr;
-  canvas.style.width = window.innerWidth + 'px';
-  canvas.style.height = window.innerHeight + 'px';
+// Commands physics-host.js queues for a world, wherever it runs. Tax and scatter take a
+// seed rather than an RNG so they can cross to a worker.
+const COMMANDS = {
+  step: physics => physics.step(),
+  spawn: (physics, tier, launch) => physics.spawnCube(tier, launch),
+  pulse: (physics, x, y) => physics.pulse(x, y),
+  grab: (physics, id, x, y) => physics.grab(id, x, y),
+  drag: (physics, id, x, y) => physics.drag(id, x, y),
+  release: (physics, id) => physics.release(id),
+  clear: physics => physics.clearPile(),
+  tax: (physics, fraction, seed) => physics.taxPile(fraction, createRandom(seed)),
+  scatter: (physics, fraction, seed) => physics.scatterPile(fraction, createRandom(seed)),
+  load: (physics, snapshot) => physics.loadSnapshot(snapshot),
+  resize: (physics, layout) => physics.resize(layout),
+  snapshot: physics => physics.getSnapshot()
+};
 
-  // Update screen bounds for containment
-  updateScreenBounds();
+/**
+ * Run one queued command against a pile
+ * @param {object} physics - Instance from createPhysicsWorld()
+ * @param {Array} command - [name, ...args], name one of COMMANDS
+ * @returns {number[]|object|undefined} The removed tiers for 'tax', the pile for 'snapshot'
+ */
+export function runCommand(physics, [name, ...args]) {
+  return COMMANDS[name](physics, ...args);
+}
 
-  // Recreate floor on resize
-  if (world) {
-    createFloor();
+/**
+ * Create a physics pile
+ * @param {object} options
+ * @param {HTMLCanvasElement|OffscreenCanvas|null} options.canvas - Full-viewport overlay canvas
+ * @param {{width: number, height: number, dpr: number, bucket: object}} options.layout - Viewport
+ *   size, pixel ratio and the bucket's { left, right, top, bottom } (its bottom is the floor)
+ * @param {object|null} [options.pile] - Snapshot to start from (getSnapshot(), or a saved pile)
+ * @param {number} [options.maxBodies] - Cubes kept as physics bodies before the oldest
+ *   common ones are packed (Infinity never packs)
+ * @returns {Promise<object|null>} The instance, or null when the canvas is unusable
+ */
+export async function createPhysicsWorld({ canvas, layout, pile = null, maxBodies = DEFAULT_MAX_BODIES }) {
+  const ctx = canvas ? canvas.getContext('2d') : null;
+  if (!ctx) {
+    console.warn('[physics] Canvas unavailable');
+    return null;
   }
 
-  // Clamp existing cubes to new bounds to prevent launch on resize
-  cubes.forEach(cube => {
-    const pos = cube.body.translation();
-    const pxX = toPixels(pos.x);
-    const pxY = toPixels(pos.y);
-    let newX = pos.x;
-    let newY = pos.y;
-    let clamped = false;
+  const engine = await loadEngine();
+
+  // State
+  let world = createWorld(); // Null once destroyed
+  let bucketColliders = []; // Bucket floor and walls, and the page floor
+  const floors = new Map(); // Collider handle -> screen y of that floor's top (for impacts)
+  let pageFloorY = 0;
+  let cubes = []; // Track our cube bodies with metadata
+  let packed = []; // Cubes packed out of the world past the budget: { tier, points }, oldest first
+  let viewport = layout;
+  let bucketBounds = { left: 0, right: 0, top: 0, bottom: 0 };
+  const eventQueue = new engine.EventQueue(true); // Collision events
+  const pileListeners = new Set();
+  let pilePoints = 0; // Sum of points for every landed cube
+  const cubesByHandle = new Map(); // Collider handle -> cube
+  const contacts = new Map(); // Collider handle -> Set of touching cube collider handles
+  const fuseListeners = new Set();
+  const impactListeners = new Set();
+  let simTime = 0; // ms of simulated time - landing and fusion timers run on it
+  let lastFuseCheck = 0;
+  let lastBucketCheck = 0;
+  let bucketState = { fill: 0, overflowing: false };
+  const bucketListeners = new Set();
+  const grabs = new Map(); // Pointer id -> { cube, offset, target, trail } for each held cube
+
+  // Impact marks - thin lines that spread from impact
+  let impacts = []; // { x, width, alpha, color }
+
+  // Sleeping cubes are drawn once into this layer until one wakes, lands or leaves
+  const staticLayer = createLayerCanvas();
+  const staticCtx = staticLayer.getContext('2d');
+  let staticDirty = true;
+  const batches = new Map(); // Tier -> cubes to draw this pass (reused between frames)
+  const strokeColors = new Map(); // Tier color -> darkened border color
+
+  // Screen boundary constants for containment (updated on resize)
+  let screenBounds = { left: SCREEN_EDGE_PADDING, right: 0, top: SCREEN_EDGE_PADDING };
+
+  function updateScreenBounds() {
+    screenBounds.left = SCREEN_EDGE_PADDING;
+    screenBounds.right = viewport.width - SCREEN_EDGE_PADDING;
+    screenBounds.top = SCREEN_EDGE_PADDING;
+  }
 
-    // Clamp X axis
+  function containCube(body, pxX, pxY, physPos, vel) {
+    // Bounce off left edge
     if (pxX < screenBounds.left) {
-      newX = toPhysics(screenBounds.left + 20);
-      clamped = true;
-    } else if (pxX > screenBounds.right) {
-      newX = toPhysics(screenBounds.right - 20);
-      clamped = true;
+      body.setTranslation({ x: toPhysics(screenBounds.left), y: physPos.y }, true);
+      body.setLinvel({ x: Math.abs(vel.x) * BOUNCE_DAMPING, y: vel.y }, true);
     }
-
-    // Clamp Y axis
+    // Bounce off right edge
+    else if (pxX > screenBounds.right) {
+      body.setTranslation({ x: toPhysics(screenBounds.right), y: physPos.y }, true);
+      body.setLinvel({ x: -Math.abs(vel.x) * BOUNCE_DAMPING, y: vel.y }, true);
+    }
+    // Bounce off top edge
     if (pxY < screenBounds.top) {
-      newY = toPhysics(screenBounds.top + 20);
-      clamped = true;
-    } else if (pxY > bucketBounds.bottom) {
-      newY = toPhysics(bucketBounds.bottom - 20);
-      clamped = true;
+      body.setTranslation({ x: physPos.x, y: toPhysics(screenBounds.top) }, true);
+      body.setLinvel({ x: vel.x, y: Math.abs(vel.y) * BOUNCE_DAMPING }, true);
     }
-
-    if (clamped) {
-      cube.body.setTranslation({ x: newX, y: newY }, true);
-      cube.body.setLinvel({ x: 0, y: 0 }, true);
+    // Bounce off the page floor
+    if (pxY > pageFloorY) {
+      body.setTranslation({ x: physPos.x, y: toPhysics(pageFloorY) }, true);
+      body.setLinvel({ x: vel.x, y: -Math.abs(vel.y) * BOUNCE_DAMPING }, true);
     }
-  });
-}
-
-function createFloor() {
-  // Remove old floor if exists
-  if (floorCollider !== null) {
-    world.removeCollider(floorCollider, true);
-    floorCollider = null;
   }
 
-  // Get actual bucket container position from DOM
-  const bucketContainer = document.getElementById('bucketContainer');
-  if (!bucketContainer) return;
+  function createWorld() {
+    const newWorld = new engine.World({ x: 0.0, y: 9.81 * GRAVITY_MULTIPLIER });
+    newWorld.timestep = TICK_MS / 1000;
+    return newWorld;
+  }
 
-  const rect = bucketContainer.getBoundingClientRect();
+  /**
+   * Follow a new page layout: resize the canvas, move the bucket and page floor and
+   * pull any cube left off-screen back in
+   * @param {{width: number, height: number, dpr: number, bucket: object}} [nextLayout] -
+   *   Same shape as the layout option (omitted: reapply the current one)
+   */
+  function resize(nextLayout = viewport) {
+    viewport = nextLayout;
+    canvas.width = viewport.width * viewport.dpr;
+    canvas.height = viewport.height * viewport.dpr;
+    staticLayer.width = canvas.width;
+    staticLayer.height = canvas.height;
+    staticDirty = true;
+
+    // Update screen bounds for containment
+    updateScreenBounds();
+
+    // Move the bucket along with its element
+    if (world) {
+      createBucket();
+    }
 
-  bucketBounds = {
-    left: rect.left,
-    right: rect.right,
-    bottom: rect.bottom,
-    centerX: rect.left + rect.width / 2
-  };
+    // Clamp existing cubes to new bounds to prevent launch on resize
+    cubes.forEach(cube => {
+      const pos = cube.body.translation();
+      const pxX = toPixels(pos.x);
+      const pxY = toPixels(pos.y);
+      let newX = pos.x;
+      let newY = pos.y;
+      let clamped = false;
+
+      // Clamp X axis
+      if (pxX < screenBounds.left) {
+        newX = toPhysics(screenBounds.left + 20);
+        clamped = true;
+      } else if (pxX > screenBounds.right) {
+        newX = toPhysics(screenBounds.right - 20);
+        clamped = true;
+      }
+
+      // Clamp Y axis
+      if (pxY < screenBounds.top) {
+        newY = toPhysics(screenBounds.top + 20);
+        clamped = true;
+      } else if (pxY > pageFloorY) {
+        newY = toPhysics(pageFloorY - 20);
+        clamped = true;
+      }
+
+      if (clamped) {
+        cube.body.setTranslation({ x: newX, y: newY }, true);
+        cube.body.setLinvel({ x: 0, y: 0 }, true);
+      }
+    });
+  }
 
-  // Create floor as a fixed collider (no rigid body needed for static geometry)
-  const floorDesc = RAPIER.ColliderDesc.cuboid(
-    toPhysics(window.innerWidth),
-    toPhysics(WALL_THICKNESS / 2)
-  )
-    .setTranslation(
-      toPhysics(window.innerWidth / 2),
-      toPhysics(bucketBounds.bottom + WALL_THICKNESS / 2)
-    )
-    .setRestitution(0.2)
-    .setFriction(0.3)
-    .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
-
-  floorCollider = world.createCollider(floorDesc);
-  floorHandle = floorCollider.handle;
-}
+  // Static geometry is fixed colliders - no rigid body needed
+  function addFixedBox(left, top, right, bottom) {
+    const desc = engine.ColliderDesc.cuboid(toPhysics((right - left) / 2), toPhysics((bottom - top) / 2))
+      .setTranslation(toPhysics((left + right) / 2), toPhysics((top + bottom) / 2))
+      .setRestitution(0.2)
+      .setFriction(0.3)
+      .setActiveEvents(engine.ActiveEvents.COLLISION_EVENTS);
+    const collider = world.createCollider(desc);
+    bucketColliders.push(collider);
+    return collider;
+  }
 
-function setupPulseInteraction() {
-  // Listen on document but only pulse if click isn't on interactive elements
-  document.addEventListener('pointerdown', (e) => {
-    // Ignore clicks on buttons and interactive elements
-    if (e.target.closest('button, nav, dialog, [role="radio"]')) return;
-    if (cubes.length === 0) return;
+  // Lay the bucket's floor and walls and the page floor. Skipped when none of them
+  // moved, so a resize that leaves the bucket alone doesn't disturb the pile.
+  function createBucket() {
+    const { left, right, top, bottom } = viewport.bucket;
+    const pageBottom = Math.max(viewport.height, bottom);
+    const unchanged = left === bucketBounds.left && right === bucketBounds.right &&
+      top === bucketBounds.top && bottom === bucketBounds.bottom && pageBottom === pageFloorY;
+    if (bucketColliders.length > 0 && unchanged) return;
+
+    bucketColliders.forEach(collider => world.removeCollider(collider, true));
+    bucketColliders = [];
+    floors.clear();
+    bucketBounds = { left, right, top, bottom };
+    pageFloorY = pageBottom;
+
+    const wall = BUCKET_WALL_THICKNESS;
+    floors.set(addFixedBox(left - wall, bottom, right + wall, bottom + FLOOR_THICKNESS).handle, bottom);
+    addFixedBox(left - wall, top, left, bottom);
+    addFixedBox(right, top, right + wall, bottom);
+    floors.set(addFixedBox(0, pageFloorY, viewport.width, pageFloorY + FLOOR_THICKNESS).handle, pageFloorY);
+  }
 
-    const touchX = e.clientX;
-    const touchY = e.clientY;
+  /**
+   * Push cubes away from a click/tap; clicks near the floor also bounce nearby cubes up
+   * @param {number} touchX - Screen X coordinate
+   * @param {number} touchY - Screen Y coordinate
+   */
+  function pulse(touchX, touchY) {
+    if (!world) return;
 
     // Only trigger floor bounce if clicking near the floor
     const clickNearFloor = touchY > bucketBounds.bottom - FLOOR_CLICK_THRESHOLD;
@@ -287,194 +441,886 @@ function setupPulseInteraction() {
 
       cube.body.applyImpulse({ x: impulseX, y: impulseY }, true);
     });
-  });
-}
+  }
 
-/**
- * Spawn a physics cube for a loot drop
- * @param {number} tier - Loot tier (1-7)
- * @param {number} originX - Starting X position
- * @param {number} originY - Starting Y position
- */
-export function spawnCube(tier, originX, originY) {
-  if (!world) {
-    console.warn('[physics] spawnCube called before physics initialized');
-    return;
+  // The cube under a screen point that nobody holds yet: a collider hit first, then the
+  // nearest cube within GRAB_SLOP
+  function findCubeAt(x, y) {
+    let hit = null;
+    world.intersectionsWithPoint({ x: toPhysics(x), y: toPhysics(y) }, collider => {
+      const cube = cubesByHandle.get(collider.handle);
+      if (cube && cube.heldBy === null) hit = cube;
+      return hit === null;
+    });
+    if (hit) return hit;
+
+    let closest = GRAB_SLOP;
+    cubes.forEach(cube => {
+      if (cube.heldBy !== null) return;
+      const pos = cube.body.translation();
+      const gap = Math.hypot(toPixels(pos.x) - x, toPixels(pos.y) - y) - cube.config.size / 2;
+      if (gap < closest) {
+        closest = gap;
+        hit = cube;
+      }
+    });
+    return hit;
   }
 
-  const config = TIER_CONFIG[tier] || TIER_CONFIG[7];
+  /**
+   * Pick up the cube under a pointer, or pulse the pile when there isn't one
+   * @param {number} id - Pointer id (each pointer holds at most one cube)
+   * @param {number} x - Screen X coordinate
+   * @param {number} y - Screen Y coordinate
+   */
+  function grab(id, x, y) {
+    if (!world) return;
+    release(id);
+
+    const cube = findCubeAt(x, y);
+    if (!cube) {
+      pulse(x, y);
+      return;
+    }
+    const pos = cube.body.translation();
+    const target = { x: toPhysics(x), y: toPhysics(y) };
+    cube.heldBy = id;
+    grabs.set(id, { cube, offset: { x: target.x - pos.x, y: target.y - pos.y }, target, trail: [] });
+    cube.body.wakeUp();
+  }
 
-  // Start from origin with slight random offset
-  const startX = originX + (Math.random() - 0.5) * 20;
-  const startY = originY + (Math.random() - 0.5) * 20;
-
-  // Create rigid body
-  const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
-    .setTranslation(toPhysics(startX), toPhysics(startY))
-    .setRotation(Math.random() * Math.PI * 2)
-    .setLinearDamping(0.01)
-    .setAngularDamping(0.3);
-
-  const body = world.createRigidBody(bodyDesc);
-
-  // Create collider (the shape)
-  // Note: collision events only on floor collider - cubes don't need them
-  const halfSize = toPhysics(config.size / 2);
-  const colliderDesc = RAPIER.ColliderDesc.cuboid(halfSize, halfSize)
-    .setRestitution(0.3)
-    .setFriction(0.2)
-    .setDensity(1.0);
-
-  const collider = world.createCollider(colliderDesc, body);
-
-  // Spray outward with random velocity
-  const angle = Math.random() * Math.PI * 2;
-  const speed = 2 + Math.random() * 3;
-  body.setLinvel({
-    x: Math.cos(angle) * speed * 0.15,
-    y: (Math.sin(angle) * speed + 1) * 0.15
-  }, true);
+  /**
+   * Move the point a held cube follows
+   * @param {number} id - Pointer id
+   * @param {number} x - Screen X coordinate
+   * @param {number} y - Screen Y coordinate
+   */
+  function drag(id, x, y) {
+    const held = grabs.get(id);
+    if (held) held.target = { x: toPhysics(x), y: toPhysics(y) };
+  }
 
-  // Add spin
-  body.setAngvel((Math.random() - 0.5) * 2, true);
-
-  const initPos = body.translation();
-  cubes.push({
-    body,
-    collider,
-    tier,
-    config,
-    alpha: 1,
-    scale: 1,
-    prevX: initPos.x,
-    prevY: initPos.y,
-    prevAngle: body.rotation()
-  });
-}
+  /**
+   * Let go of a held cube, throwing it with the pointer's speed over the last
+   * THROW_WINDOW_MS (a pointer that stopped drops it)
+   * @param {number} id - Pointer id
+   */
+  function release(id) {
+    const held = grabs.get(id);
+    if (!held) return;
+    grabs.delete(id);
+    held.cube.heldBy = null;
+
+    const { trail } = held;
+    if (trail.length < 2) return;
+    const first = trail[0];
+    const last = trail[trail.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    const vx = (last.x - first.x) / seconds;
+    const vy = (last.y - first.y) / seconds;
+    const scale = Math.min(1, THROW_MAX_SPEED / (Math.hypot(vx, vy) || 1));
+    held.cube.body.setLinvel({ x: vx * scale, y: vy * scale }, true);
+  }
 
-function animate() {
-  const now = performance.now();
-  const delta = Math.min(now - lastTime, DELTA_CAP_MS);
-  lastTime = now;
+  // Steer each held cube toward its pointer, and keep a short trail of where the
+  // pointer has been for the throw
+  function steerHeldCubes() {
+    grabs.forEach(({ cube, offset, target, trail }) => {
+      trail.push({ time: simTime, x: target.x, y: target.y });
+      while (trail[0].time < simTime - THROW_WINDOW_MS) trail.shift();
+
+      const pos = cube.body.translation();
+      const vx = (target.x - offset.x - pos.x) * GRAB_STIFFNESS;
+      const vy = (target.y - offset.y - pos.y) * GRAB_STIFFNESS;
+      const scale = Math.min(1, GRAB_MAX_SPEED / (Math.hypot(vx, vy) || 1));
+      cube.body.setLinvel({ x: vx * scale, y: vy * scale }, true);
+      cube.body.setAngvel(cube.body.angvel() * GRAB_SPIN_KEEP, true);
+    });
+  }
+
+  /**
+   * Spawn a physics cube for a loot drop
+   * @param {number} tier - Loot tier (1 = rarest)
+   * @param {ReturnType<typeof rollLaunch>} launch - Where and how it starts
+   */
+  function spawnCube(tier, { x, y, rotation, vx, vy, av }) {
+    if (!world) {
+      console.warn('[physics] spawnCube called after destroy');
+      return;
+    }
+
+    createCube({
+      tier,
+      x: toPhysics(x),
+      y: toPhysics(y),
+      rotation,
+      linvel: { x: vx, y: vy },
+      angvel: av,
+      landed: false
+    });
+    notifyPileChange();
+  }
+
+  /**
+   * Create a cube body + collider and start tracking it
+   * @param {object} options
+   * @param {number} options.tier - Loot tier (1 = rarest)
+   * @param {number} options.x - Physics X position
+   * @param {number} options.y - Physics Y position
+   * @param {number} options.rotation - Angle in radians
+   * @param {{x: number, y: number}} options.linvel - Linear velocity (physics units)
+   * @param {number} options.angvel - Angular velocity
+   * @param {boolean} options.landed - Whether the cube's points already count toward the pile
+   * @param {number} [options.points] - Score value (defaults to the tier's points;
+   *   fused cubes carry the total of the cubes they were made from)
+   * @returns {object} The tracked cube
+   */
+  function createCube({ tier, x, y, rotation, linvel, angvel, landed, points }) {
+    const config = getTier(tier);
+
+    // Create rigid body
+    const bodyDesc = engine.RigidBodyDesc.dynamic()
+      .setTranslation(x, y)
+      .setRotation(rotation)
+      .setLinearDamping(0.01)
+      .setAngularDamping(0.3);
+
+    const body = world.createRigidBody(bodyDesc);
+
+    // Create collider (the shape)
+    // Collision events feed the cube-to-cube contact graph used for fusing
+    const halfSize = toPhysics(config.size / 2);
+    const colliderDesc = engine.ColliderDesc.cuboid(halfSize, halfSize)
+      .setRestitution(0.3)
+      .setFriction(0.2)
+      .setDensity(1.0)
+      .setActiveEvents(engine.ActiveEvents.COLLISION_EVENTS);
+
+    const collider = world.createCollider(colliderDesc, body);
+
+    body.setLinvel(linvel, true);
+    body.setAngvel(angvel, true);
+
+    const initPos = body.translation();
+    const cube = {
+      body,
+      collider,
+      tier,
+      config,
+      points: Number.isFinite(points) ? points : config.points,
+      prevX: initPos.x,
+      prevY: initPos.y,
+      prevAngle: body.rotation(),
+      asleep: false, // Rapier put the body to sleep - drawn from the static layer
+      landed,
+      spawnedAt: simTime,
+      restingSince: null, // Set while resting against a same-tier cube (fusion timer)
+      heldBy: null // Pointer id while grabbed
+    };
+    cubes.push(cube);
+    cubesByHandle.set(collider.handle, cube);
+    contacts.set(collider.handle, new Set());
+
+    if (landed) {
+      pilePoints += cube.points;
+    }
+    return cube;
+  }
+
+  /**
+   * Remove a single cube from the world and the contact graph
+   * @param {object} cube - Tracked cube
+   */
+  function removeCube(cube) {
+    const handle = cube.collider.handle;
+    const neighbors = contacts.get(handle);
+    if (neighbors) {
+      neighbors.forEach(other => {
+        const otherNeighbors = contacts.get(other);
+        if (otherNeighbors) otherNeighbors.delete(handle);
+      });
+    }
+    contacts.delete(handle);
+    cubesByHandle.delete(handle);
+    if (cube.heldBy !== null) grabs.delete(cube.heldBy);
+    world.removeRigidBody(cube.body);
+    if (cube.landed) {
+      pilePoints -= cube.points;
+    }
+    if (cube.asleep) staticDirty = true;
+  }
+
+  // Over budget: pack the commonest tiers first, oldest first within a tier. Only
+  // landed cubes nobody holds are packed, so a big drop in flight can go over until
+  // it settles.
+  function packOldest() {
+    const target = Math.floor(maxBodies * (1 - PACK_SLACK));
+    const candidates = cubes
+      .filter(cube => cube.landed && cube.heldBy === null)
+      .sort((a, b) => b.tier - a.tier || a.spawnedAt - b.spawnedAt);
+    const packing = new Set(candidates.slice(0, cubes.length - target));
+    if (packing.size === 0) return;
+
+    packing.forEach(cube => {
+      removeCube(cube);
+      packed.push({ tier: cube.tier, points: cube.points });
+      pilePoints += cube.points;
+    });
+    cubes = cubes.filter(cube => !packing.has(cube));
+    notifyPileChange();
+  }
+
+  /**
+   * Subscribe to pile changes (spawn, landing, restore, clear)
+   * @param {(pile: {count: number, points: number}) => void} listener - Called with
+   *   the cube count and the points of every landed cube
+   */
+  function onPileChange(listener) {
+    pileListeners.add(listener);
+  }
+
+  /**
+   * Cubes in the pile per tier
+   * @returns {Object<number, number>} Tier id -> count (tiers without cubes are left out)
+   */
+  function getPileCounts() {
+    const counts = {};
+    cubes.forEach(cube => {
+      counts[cube.tier] = (counts[cube.tier] || 0) + 1;
+    });
+    packed.forEach(({ tier }) => {
+      counts[tier] = (counts[tier] || 0) + 1;
+    });
+    return counts;
+  }
 
-  // Step physics world with fixed timestep
-  accumulator += delta / 1000;
-  let steps = 0;
-  while (accumulator >= PHYSICS_TIMESTEP && steps < MAX_SUBSTEPS) {
+  /**
+   * Current pile totals (same shape as the onPileChange payload). Packed cubes count.
+   * @returns {{count: number, points: number}}
+   */
+  function getPile() {
+    return { count: cubes.length + packed.length, points: pilePoints };
+  }
+
+  function notifyPileChange() {
+    const pile = getPile();
+    pileListeners.forEach(listener => listener(pile));
+  }
+
+  /**
+   * Remove every cube from the world
+   */
+  function clearPile() {
+    if (world) {
+      cubes.forEach(cube => world.removeRigidBody(cube.body));
+    }
+    cubes = [];
+    packed = [];
+    cubesByHandle.clear();
+    contacts.clear();
+    grabs.clear();
+    impacts = [];
+    pilePoints = 0;
+    staticDirty = true;
+    notifyPileChange();
+    updateBucket();
+  }
+
+  /**
+   * Take a share of the pile away (the overcharge miss penalty). Packed cubes can be
+   * picked too: indices past the bodies are packed cubes.
+   * @param {number} fraction - Share of the cubes to remove, rounded up
+   * @param {() => number} random - RNG returning [0, 1) that picks the cubes
+   * @returns {number[]} Tier ids of the removed cubes
+   */
+  function taxPile(fraction, random) {
+    const total = cubes.length + packed.length;
+    const count = Math.min(total, Math.ceil(total * fraction));
+    if (!world || count === 0) return [];
+
+    const picked = new Set();
+    while (picked.size < count) {
+      picked.add(Math.floor(random() * total));
+    }
+
+    const taxed = new Set();
+    const taxedPacked = new Set();
+    picked.forEach(index => {
+      if (index < cubes.length) taxed.add(cubes[index]);
+      else taxedPacked.add(index - cubes.length);
+    });
+    taxed.forEach(removeCube);
+    cubes = cubes.filter(cube => !taxed.has(cube));
+
+    const tiers = [...taxed].map(cube => cube.tier);
+    packed = packed.filter((cube, index) => {
+      if (!taxedPacked.has(index)) return true;
+      pilePoints -= cube.points;
+      tiers.push(cube.tier);
+      return false;
+    });
+    notifyPileChange();
+    return tiers;
+  }
+
+  /**
+   * Fling a share of the pile up and sideways (the fumble penalty) - nothing is lost,
+   * the cubes just land somewhere else. Packed cubes stay put.
+   * @param {number} fraction - Share of the cube bodies to fling, rounded up
+   * @param {() => number} random - RNG returning [0, 1) that picks the cubes and directions
+   * @returns {number} How many cubes were flung
+   */
+  function scatterPile(fraction, random) {
+    const count = Math.min(cubes.length, Math.ceil(cubes.length * fraction));
+    if (!world || count === 0) return 0;
+
+    const scattered = new Set();
+    while (scattered.size < count) {
+      scattered.add(cubes[Math.floor(random() * cubes.length)]);
+    }
+    scattered.forEach(cube => {
+      // Same size scaling as pulse() so small cubes don't fly off at silly speeds
+      const strength = SCATTER_IMPULSE * (cube.config.size / PULSE_SIZE_NORMALIZE);
+      const impulseX = (random() * 2 - 1) * SCATTER_SIDEWAYS * strength;
+      const impulseY = -(0.5 + random() * 0.5) * strength;
+      cube.body.applyImpulse({ x: impulseX, y: impulseY }, true);
+      cube.body.setAngvel((random() - 0.5) * SCATTER_SPIN, true);
+    });
+    return count;
+  }
+
+  /**
+   * Serializable copy of the pile - the shape it is saved in. Positions are in
+   * pixels so the pile survives viewport changes (resize() clamps anything that
+   * lands off-screen).
+   * @returns {{version: number, cubes: object[], packed: number[][]}}
+   */
+  function getSnapshot() {
+    return {
+      version: PILE_STORAGE_VERSION,
+      packed: packed.map(({ tier, points }) => [tier, points]),
+      cubes: cubes.map(({ body, tier, points }) => {
+        const pos = body.translation();
+        const vel = body.linvel();
+        return {
+          tier,
+          x: round(toPixels(pos.x)),
+          y: round(toPixels(pos.y)),
+          angle: round(body.rotation()),
+          points,
+          vx: round(vel.x),
+          vy: round(vel.y),
+          av: round(body.angvel())
+        };
+      })
+    };
+  }
+
+  function addSnapshotCubes(data) {
+    if (!data || !READABLE_PILE_VERSIONS.includes(data.version) || !Array.isArray(data.cubes)) return;
+
+    if (Array.isArray(data.packed)) {
+      data.packed.forEach(entry => {
+        if (!Array.isArray(entry)) return;
+        const [tier, points] = entry;
+        if (getTier(tier).id !== tier || !Number.isFinite(points)) return;
+        packed.push({ tier, points });
+        pilePoints += points;
+      });
+    }
+
+    data.cubes.forEach(saved => {
+      if (getTier(saved.tier).id !== saved.tier) return;
+      const values = [saved.x, saved.y, saved.angle, saved.vx, saved.vy, saved.av];
+      if (!values.every(Number.isFinite)) return;
+      createCube({
+        tier: saved.tier,
+        x: toPhysics(saved.x),
+        y: toPhysics(saved.y),
+        rotation: saved.angle,
+        linvel: { x: saved.vx, y: saved.vy },
+        angvel: saved.av,
+        landed: true,
+        points: saved.points
+      });
+    });
+    // A pile saved under a bigger budget (or none) is packed straight away
+    if (cubes.length > maxBodies) packOldest();
+  }
+
+  /**
+   * Throw the world away and rebuild it from a snapshot, with simulated time back
+   * at zero. Two piles loaded from the same snapshot step identically from here.
+   * @param {ReturnType<typeof getSnapshot>} data - Snapshot from getSnapshot()
+   */
+  function loadSnapshot(data) {
+    if (!world) return;
+    world.free();
+    world = createWorld();
+    bucketColliders = [];
+    cubes = [];
+    packed = [];
+    cubesByHandle.clear();
+    contacts.clear();
+    grabs.clear();
+    impacts = [];
+    pilePoints = 0;
+    staticDirty = true;
+    simTime = 0;
+    lastFuseCheck = 0;
+    lastBucketCheck = 0;
+    createBucket();
+    addSnapshotCubes(data);
+    notifyPileChange();
+    updateBucket();
+  }
+
+  // Credit points for cubes that have come to rest since the last frame
+  function updateLanding(now) {
+    let landedCount = 0;
+    for (let i = 0; i < cubes.length; i++) {
+      const cube = cubes[i];
+      if (cube.landed) continue;
+
+      const age = now - cube.spawnedAt;
+      if (age < LANDED_MIN_AGE_MS) continue;
+
+      const vel = cube.body.linvel();
+      const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+      if (speed < LANDED_SPEED || age > LANDED_MAX_AGE_MS) {
+        cube.landed = true;
+        pilePoints += cube.points;
+        landedCount++;
+      }
+    }
+    if (landedCount > 0) {
+      notifyPileChange();
+    }
+  }
+
+  /**
+   * Subscribe to fusions
+   * @param {(fusion: {tier: number, x: number, y: number}) => void} listener - Called with
+   *   the new tier and its screen position
+   */
+  function onCubeFuse(listener) {
+    fuseListeners.add(listener);
+  }
+
+  /**
+   * Subscribe to cubes hitting the floor
+   * @param {(impact: {tier: number, x: number, velocity: number}) => void} listener - Called
+   *   with the cube's tier, screen x and impact speed (physics units/s)
+   */
+  function onCubeImpact(listener) {
+    impactListeners.add(listener);
+  }
+
+  function trackContact(handle1, handle2, started) {
+    const neighbors1 = contacts.get(handle1);
+    const neighbors2 = contacts.get(handle2);
+    if (started) {
+      neighbors1.add(handle2);
+      neighbors2.add(handle1);
+    } else {
+      neighbors1.delete(handle2);
+      neighbors2.delete(handle1);
+    }
+  }
+
+  // Rarest tier can't fuse any higher, and a held cube isn't resting anywhere
+  function canFuse(cube) {
+    return cube.tier > 1 && cube.landed && cube.heldBy === null;
+  }
+
+  function isResting(cube) {
+    if (cube.asleep) return true;
+    const vel = cube.body.linvel();
+    return Math.sqrt(vel.x * vel.x + vel.y * vel.y) < LANDED_SPEED;
+  }
+
+  function hasSameTierContact(cube) {
+    for (const handle of contacts.get(cube.collider.handle)) {
+      if (cubesByHandle.get(handle).tier === cube.tier) return true;
+    }
+    return false;
+  }
+
+  // Update rest timers, then fuse the first same-tier group that has rested long enough
+  function updateFusion(now) {
+    for (let i = 0; i < cubes.length; i++) {
+      const cube = cubes[i];
+      if (canFuse(cube) && isResting(cube) && hasSameTierContact(cube)) {
+        if (cube.restingSince === null) cube.restingSince = now;
+      } else {
+        cube.restingSince = null;
+      }
+    }
+
+    const isReady = cube => cube.restingSince !== null && now - cube.restingSince >= FUSE_REST_MS;
+    const visited = new Set();
+
+    for (let i = 0; i < cubes.length; i++) {
+      const start = cubes[i];
+      if (visited.has(start) || !isReady(start)) continue;
+
+      // Breadth-first walk of ready same-tier neighbors; any BFS prefix is connected
+      const group = [start];
+      visited.add(start);
+      for (let j = 0; j < group.length && group.length < FUSE_COUNT; j++) {
+        for (const handle of contacts.get(group[j].collider.handle)) {
+          const neighbor = cubesByHandle.get(handle);
+          if (visited.has(neighbor) || neighbor.tier !== start.tier || !isReady(neighbor)) continue;
+          visited.add(neighbor);
+          group.push(neighbor);
+          if (group.length === FUSE_COUNT) break;
+        }
+      }
+
+      if (group.length === FUSE_COUNT) {
+        fuseCubes(group);
+        return;
+      }
+    }
+  }
+
+  function fuseCubes(group) {
+    let x = 0;
+    let y = 0;
+    let points = 0;
+    group.forEach(cube => {
+      const pos = cube.body.translation();
+      x += pos.x;
+      y += pos.y;
+      points += cube.points;
+      removeCube(cube);
+    });
+    x /= group.length;
+    y /= group.length;
+
+    const fusedSet = new Set(group);
+    cubes = cubes.filter(cube => !fusedSet.has(cube));
+
+    const tier = group[0].tier - 1;
+    createCube({
+      tier,
+      x,
+      y,
+      rotation: 0,
+      linvel: { x: 0, y: -FUSE_POP_VELOCITY },
+      angvel: 0,
+      landed: true,
+      points
+    });
+
+    const fusion = { tier, x: toPixels(x), y: toPixels(y) };
+    fuseListeners.forEach(listener => listener(fusion));
+    notifyPileChange();
+  }
+
+
+  /**
+   * Subscribe to bucket changes, measured every BUCKET_CHECK_INTERVAL_MS
+   * @param {(bucket: {fill: number, overflowing: boolean}) => void} listener - Called
+   *   with the new state (see getBucket)
+   */
+  function onBucketChange(listener) {
+    bucketListeners.add(listener);
+  }
+
+  /**
+   * How full the bucket is: the area of the landed cubes inside it against what it
+   * holds (packed cubes aren't in it). Fill goes past 1 once the pile heaps above the
+   * rim; it is overflowing once landed cubes lie outside and it is nearly full.
+   * @returns {{fill: number, overflowing: boolean}}
+   */
+  function getBucket() {
+    return { ...bucketState };
+  }
+
+  function updateBucket() {
+    const { left, right, top, bottom } = bucketBounds;
+    const capacity = (right - left) * (bottom - top) * BUCKET_PACKING;
+    let area = 0;
+    let spilled = false;
+    cubes.forEach(cube => {
+      if (!cube.landed || cube.heldBy !== null) return;
+      const pos = cube.body.translation();
+      const pxX = toPixels(pos.x);
+      if (pxX > left && pxX < right && toPixels(pos.y) < bottom) area += cube.config.size ** 2;
+      else spilled = true;
+    });
+
+    const fill = capacity > 0 ? Math.round(area / capacity * 100) / 100 : 0;
+    const overflowing = spilled && fill >= OVERFLOW_FILL;
+    if (fill === bucketState.fill && overflowing === bucketState.overflowing) return;
+    bucketState = { fill, overflowing };
+    bucketListeners.forEach(listener => listener(getBucket()));
+  }
+
+  /**
+   * Advance the world by one simulation tick
+   */
+  function step() {
+    if (!world) return;
+    simTime += TICK_MS;
+
+    // Sleeping bodies don't move - they keep their last interpolation points
     for (let i = 0; i < cubes.length; i++) {
       const c = cubes[i];
+      if (c.asleep) continue;
       const p = c.body.translation();
       c.prevX = p.x;
       c.prevY = p.y;
       c.prevAngle = c.body.rotation();
     }
-    world.timestep = PHYSICS_TIMESTEP;
+    steerHeldCubes();
     world.step(eventQueue);
-    accumulator -= PHYSICS_TIMESTEP;
-    steps++;
-  }
-  // When substep cap is hit, snap to current position (alpha=1) instead of
-  // rendering behind, which caused floaty/laggy feel on mobile
-  const interpAlpha = (steps > 0 && accumulator < PHYSICS_TIMESTEP)
-    ? accumulator / PHYSICS_TIMESTEP
-    : 1;
-  if (accumulator >= PHYSICS_TIMESTEP) accumulator = 0;
-
-  // Handle collision events for impact marks
-  eventQueue.drainCollisionEvents((handle1, handle2, started) => {
-    if (!started) return;
-
-    // Check if one of the colliders is the floor
-    const isFloorCollision = handle1 === floorHandle || handle2 === floorHandle;
-    if (!isFloorCollision) return;
-
-    // Find the cube that collided
-    const cubeHandle = handle1 === floorHandle ? handle2 : handle1;
-    const cube = cubes.find(c => c.collider.handle === cubeHandle);
-    if (!cube) return;
-
-    // Add impact mark (cap array size to prevent unbounded growth)
-    if (impacts.length < MAX_IMPACTS) {
-      const pos = cube.body.translation();
-      const vel = cube.body.linvel();
-      const velocity = Math.abs(vel.y) + Math.abs(vel.x) * 0.5;
-      const baseWidth = IMPACT_BASE_WIDTH + velocity * IMPACT_VELOCITY_SCALE;
-      impacts.push({
-        x: toPixels(pos.x),
-        width: baseWidth,
-        alpha: 1,
-        color: cube.config.color
-      });
+
+    // Track who fell asleep or woke up, and keep the awake cubes on screen
+    for (let i = 0; i < cubes.length; i++) {
+      const cube = cubes[i];
+      const body = cube.body;
+      const asleep = body.isSleeping();
+      if (asleep !== cube.asleep) {
+        cube.asleep = asleep;
+        staticDirty = true;
+      }
+      if (asleep) continue;
+      const pos = body.translation();
+      containCube(body, toPixels(pos.x), toPixels(pos.y), pos, body.linvel());
     }
-  });
 
-  // Grow and fade impacts
-  impacts = impacts.filter(imp => {
-    imp.width += delta * IMPACT_GROWTH_RATE;
-    imp.alpha -= delta * IMPACT_FADE_RATE;
-    return imp.alpha > 0;
-  });
+    // Handle collision events for impact marks
+    eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+      // Cube-to-cube contacts feed the fusion graph
+      if (cubesByHandle.has(handle1) && cubesByHandle.has(handle2)) {
+        trackContact(handle1, handle2, started);
+        return;
+      }
 
-  // Render
-  render(interpAlpha);
+      if (!started) return;
 
-  requestAnimationFrame(animate);
-}
+      // Check if one of the colliders is a floor (the walls make no marks)
+      const floorY = floors.get(handle1) ?? floors.get(handle2);
+      if (floorY === undefined) return;
+
+      // Find the cube that collided
+      const cubeHandle = floors.has(handle1) ? handle2 : handle1;
+      const cube = cubesByHandle.get(cubeHandle);
+      if (!cube) return;
 
-function render(t) {
-  const dpr = Math.min(window.devicePixelRatio, 2);
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  ctx.scale(dpr, dpr);
+      const pos = cube.body.translation();
+      const vel = cube.body.linvel();
+      const velocity = Math.abs(vel.y) + Math.abs(vel.x) * 0.5;
+      const impact = { tier: cube.tier, x: toPixels(pos.x), velocity };
+      impactListeners.forEach(listener => listener(impact));
+
+      // Add impact mark (cap array size to prevent unbounded growth)
+      if (impacts.length < MAX_IMPACTS) {
+        const baseWidth = IMPACT_BASE_WIDTH + velocity * IMPACT_VELOCITY_SCALE;
+        impacts.push({
+          x: impact.x,
+          y: floorY,
+          width: baseWidth,
+          alpha: 1,
+          color: cube.config.color
+        });
+      }
+    });
 
-  const floorY = bucketBounds.bottom;
-  const cubeCount = cubes.length;
+    updateLanding(simTime);
+    if (simTime - lastFuseCheck >= FUSE_CHECK_INTERVAL_MS) {
+      lastFuseCheck = simTime;
+      updateFusion(simTime);
+    }
+    if (cubes.length > maxBodies) packOldest();
+    if (simTime - lastBucketCheck >= BUCKET_CHECK_INTERVAL_MS) {
+      lastBucketCheck = simTime;
+      updateBucket();
+    }
 
-  // Draw impact marks - thin lines spreading from impact
-  for (let i = 0; i < impacts.length; i++) {
-    const imp = impacts[i];
-    ctx.globalAlpha = imp.alpha * 0.7;
-    ctx.fillStyle = imp.color;
-    ctx.fillRect(imp.x - imp.width / 2, floorY - 1, imp.width, 2);
+    // Grow and fade impacts
+    impacts = impacts.filter(imp => {
+      imp.width += TICK_MS * IMPACT_GROWTH_RATE;
+      imp.alpha -= TICK_MS * IMPACT_FADE_RATE;
+      return imp.alpha > 0;
+    });
   }
-  ctx.globalAlpha = 1;
 
-  // Draw cubes and apply containment in single pass
-  for (let i = 0; i < cubeCount; i++) {
-    const cube = cubes[i];
-    const { body, config, alpha, scale, prevX, prevY, prevAngle } = cube;
+  // Add a cube's outline to the current path, rotated by hand so a whole tier can
+  // share one fill and one stroke
+  function traceCube(target, cube, t) {
+    const { body, config, prevX, prevY, prevAngle } = cube;
     const pos = body.translation();
-    const vel = body.linvel();
     const curAngle = body.rotation();
-    const lerpX = prevX + (pos.x - prevX) * t;
-    const lerpY = prevY + (pos.y - prevY) * t;
+    const cx = toPixels(prevX + (pos.x - prevX) * t);
+    const cy = toPixels(prevY + (pos.y - prevY) * t);
     const angle = prevAngle + (curAngle - prevAngle) * t;
 
-    // Convert to pixels once
-    const posX = toPixels(lerpX);
-    const posY = toPixels(lerpY);
+    const half = config.size / 2;
+    const dx = half * Math.cos(angle);
+    const dy = half * Math.sin(angle);
+    target.moveTo(cx - dx + dy, cy - dy - dx);
+    target.lineTo(cx + dx + dy, cy + dy - dx);
+    target.lineTo(cx + dx - dy, cy + dy + dx);
+    target.lineTo(cx - dx - dy, cy - dy + dx);
+    target.closePath();
+  }
 
-    // Containment check
-    containCube(body, posX, posY, pos, vel);
+  // Draw the cubes matching `asleep`, one path per tier - commonest first so the
+  // rare ones end up on top
+  function drawCubes(target, asleep, t) {
+    batches.forEach(batch => { batch.length = 0; });
+    for (let i = 0; i < cubes.length; i++) {
+      const cube = cubes[i];
+      if (cube.asleep !== asleep) continue;
+      let batch = batches.get(cube.tier);
+      if (!batch) {
+        batch = [];
+        batches.set(cube.tier, batch);
+      }
+      batch.push(cube);
+    }
 
-    ctx.save();
-    ctx.translate(posX, posY);
-    ctx.rotate(angle);
+    const tiers = [...batches.keys()].sort((a, b) => b - a);
+    target.lineWidth = 1.5;
+    for (let i = 0; i < tiers.length; i++) {
+      const batch = batches.get(tiers[i]);
+      if (batch.length === 0) continue;
+      const { color } = batch[0].config;
+
+      target.beginPath();
+      for (let j = 0; j < batch.length; j++) {
+        traceCube(target, batch[j], t);
+      }
+
+      // Fill with slight transparency for holographic feel
+      target.globalAlpha = 0.9;
+      target.fillStyle = color;
+      target.fill();
+
+      // Darker border for definition
+      if (!strokeColors.has(color)) strokeColors.set(color, darkenColor(color, 0.4));
+      target.globalAlpha = 0.8;
+      target.strokeStyle = strokeColors.get(color);
+      target.stroke();
+    }
+    target.globalAlpha = 1;
+  }
 
-    const size = config.size * scale;
-    const halfSize = size / 2;
+  // Redraw the sleeping cubes into the cached layer
+  function drawStaticLayer(dpr) {
+    staticCtx.setTransform(1, 0, 0, 1, 0, 0);
+    staticCtx.clearRect(0, 0, staticLayer.width, staticLayer.height);
+    staticCtx.scale(dpr, dpr);
+    drawCubes(staticCtx, true, 1);
+    staticDirty = false;
+  }
 
-    // Fill with slight transparency for holographic feel
-    ctx.globalAlpha = alpha * 0.9;
-    ctx.fillStyle = config.color;
-    ctx.fillRect(-halfSize, -halfSize, size, size);
+  // Per-tier tally of the packed cubes: a swatch and a count each, rarest first
+  function drawPackedTally() {
+    const counts = new Map();
+    packed.forEach(({ tier }) => counts.set(tier, (counts.get(tier) || 0) + 1));
+    const tiers = [...counts.keys()].sort((a, b) => a - b);
+
+    let x = bucketBounds.left + TALLY_SWATCH;
+    const y = bucketBounds.top + TALLY_SWATCH;
+    ctx.font = TALLY_FONT;
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i < tiers.length; i++) {
+      const { color } = getTier(tiers[i]);
+      const label = `×${counts.get(tiers[i])}`;
+      ctx.globalAlpha = 0.9;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y - TALLY_SWATCH / 2, TALLY_SWATCH, TALLY_SWATCH);
+      ctx.globalAlpha = 0.7;
+      ctx.fillText(label, x + TALLY_SWATCH + 2, y);
+      x += TALLY_SWATCH * 2 + 2 + ctx.measureText(label).width;
+    }
+    ctx.globalAlpha = 1;
+  }
 
-    // Darker border for definition
-    ctx.globalAlpha = alpha * 0.8;
-    ctx.strokeStyle = darkenColor(config.color, 0.4);
-    ctx.lineWidth = 1.5;
-    ctx.strokeRect(-halfSize, -halfSize, size, size);
+  /**
+   * Draw the pile
+   * @param {number} [t] - Interpolation between the previous and current step (0..1)
+   */
+  function render(t = 1) {
+    if (!world) return;
+    const { dpr } = viewport;
+    if (staticDirty) drawStaticLayer(dpr);
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(dpr, dpr);
+
+    // Draw impact marks - thin lines spreading from impact
+    for (let i = 0; i < impacts.length; i++) {
+      const imp = impacts[i];
+      ctx.globalAlpha = imp.alpha * 0.7;
+      ctx.fillStyle = imp.color;
+      ctx.fillRect(imp.x - imp.width / 2, imp.y - 1, imp.width, 2);
+    }
+    ctx.globalAlpha = 1;
 
-    ctx.restore();
+    // Settled cubes come from the cached layer, then the moving ones go on top
+    ctx.drawImage(staticLayer, 0, 0, canvas.width / dpr, canvas.height / dpr);
+    drawCubes(ctx, false, t);
+    if (packed.length > 0) drawPackedTally();
   }
+
+  // Size the canvas and lay the bucket, then rebuild the starting pile and clamp it
+  // to this viewport
+  resize();
+  addSnapshotCubes(pile);
+  resize();
+  updateBucket();
+
+  return {
+    spawnCube,
+    pulse,
+    grab,
+    drag,
+    release,
+    step,
+    render,
+    resize,
+    clearPile,
+    taxPile,
+    scatterPile,
+    onPileChange,
+    onCubeFuse,
+    onCubeImpact,
+    onBucketChange,
+    getPile,
+    getPileCounts,
+    getBucket,
+    getSnapshot,
+    loadSnapshot,
+
+    /**
+     * @returns {boolean} Whether every cube body is asleep (nothing will move until poked)
+     */
+    isSettled() {
+      return cubes.every(cube => cube.asleep);
+    },
+
+    /**
+     * Remove listeners and free the Rapier world
+     */
+    destroy() {
+      if (!world) return;
+      pileListeners.clear();
+      fuseListeners.clear();
+      impactListeners.clear();
+      bucketListeners.clear();
+      cubes = [];
+      cubesByHandle.clear();
+      contacts.clear();
+      grabs.clear();
+      eventQueue.free();
+      world.free();
+      world = null;
+    }
+  };
 }
@@ -0,0 +1,189 @@
+/**
+ * Bad-Luck Protection
+ *
+ * Tracks how many loot rolls have passed since each rare tier (flagged `rare` in
+ * tiers.json: JAWESOME, SHEESH and BASED) last dropped. Once a drought passes a grace
+ * period, that tier's weight grows a little every roll - taken proportionally from the
+ * common tiers - until it drops and its counter resets. Counters persist across sessions.
+ *
+ * Each fidget keeps its own counters (createPity), so one instance's luck never shifts
+ * another's odds. Complements the single-drop pity upgrade in loot.js, which knows
+ * nothing about history.
+ */
+
+import { pageStorage } from './shared.js';
+import { getRareTierFloor } from './tiers.js';
+
+const PITY_STORAGE_KEY = 'loot-pity';
+const PITY_STORAGE_VERSION = 1;
+
+const PITY_GRACE_ROLLS = 10;           // Rolls without the tier before weights start shifting
+const PITY_STEP_PERCENT = 0.5;         // Extra weight per roll past the grace period
+const PITY_MAX_BONUS_PERCENT = 10;     // Cap on the extra weight for a single tier
+
+function createCounters() {
+  const fresh = {};
+  for (let tier = 1; tier <= getRareTierFloor(); tier++) {
+    fresh[tier] = 0;
+  }
+  return fresh;
+}
+
+// Counters from untrusted data (storage, recordings) - anything invalid reads as 0
+function readCounters(source) {
+  const read = createCounters();
+  for (let tier = 1; tier <= getRareTierFloor(); tier++) {
+    const count = source[tier];
+    read[tier] = Number.isInteger(count) && count > 0 ? count : 0;
+  }
+  return read;
+}
+
+/**
+ * Create bad-luck protection with the saved counters restored (needs the tier table
+ * loaded; Node scripts, with no storage, start from zero)
+ * @param {object} [options]
+ * @param {string} [options.storagePrefix] - Prefix for the saved counters
+ * @param {object} [options.storage] - Where to save (localStorage by default, see shared.js)
+ */
+export function createPity({ storagePrefix = '', storage = pageStorage } = {}) {
+  const storageKey = storagePrefix + PITY_STORAGE_KEY;
+  const listeners = new Set();
+
+  // State
+  let rollsSince = createCounters(); // Rare tier id -> rolls since it last dropped
+
+  try {
+    const data = JSON.parse(storage.getItem(storageKey));
+    if (data && data.version === PITY_STORAGE_VERSION && data.rollsSince) {
+      rollsSince = readCounters(data.rollsSince);
+    }
+  } catch (e) {
+    // Unavailable storage or corrupt JSON - start with fresh counters
+  }
+
+  /**
+   * Extra weight (percentage points) each rare tier currently gets
+   * @param {number} tier - Rare tier id
+   * @returns {number}
+   */
+  function bonusFor(tier) {
+    const overdue = rollsSince[tier] - PITY_GRACE_ROLLS;
+    if (overdue <= 0) return 0;
+    return Math.min(overdue * PITY_STEP_PERCENT, PITY_MAX_BONUS_PERCENT);
+  }
+
+  function getPityState() {
+    const state = [];
+    for (let tier = 1; tier <= getRareTierFloor(); tier++) {
+      state.push({ tier, rollsSince: rollsSince[tier], bonus: bonusFor(tier) });
+    }
+    return state;
+  }
+
+  function notify() {
+    if (listeners.size === 0) return;
+    const state = getPityState();
+    listeners.forEach(listener => listener(state));
+  }
+
+  function save() {
+    try {
+      storage.setItem(storageKey, JSON.stringify({
+        version: PITY_STORAGE_VERSION,
+        rollsSince
+      }));
+    } catch (e) {
+      // localStorage may be unavailable (private browsing, quota exceeded, Node scripts)
+    }
+  }
+
+  return {
+    /**
+     * Shift rarity weights toward overdue rare tiers. The bonus is taken from the
+     * common tiers in proportion to their weight, so the row still adds up to 100.
+     * @param {number[]} weights - Base weights, one per tier in id order
+     * @returns {number[]} Adjusted weights (a new array)
+     */
+    applyPity(weights) {
+      const adjusted = [...weights];
+      const rareCount = Math.min(getRareTierFloor(), weights.length);
+      const commonTotal = weights.slice(rareCount).reduce((sum, w) => sum + w, 0);
+
+      const bonuses = [];
+      for (let tier = 1; tier <= rareCount; tier++) {
+        bonuses.push(bonusFor(tier));
+      }
+      const requested = bonuses.reduce((sum, bonus) => sum + bonus, 0);
+      if (requested === 0 || commonTotal <= 0) return adjusted;
+
+      // Never take more than the common tiers have
+      const granted = Math.min(requested, commonTotal);
+      const grantScale = granted / requested;
+      bonuses.forEach((bonus, index) => {
+        adjusted[index] += bonus * grantScale;
+      });
+
+      const commonScale = (commonTotal - granted) / commonTotal;
+      for (let i = rareCount; i < adjusted.length; i++) {
+        adjusted[i] *= commonScale;
+      }
+      return adjusted;
+    },
+
+    /**
+     * Record one loot roll. A drop of a rare tier resets its counter and the
+     * counters of every less-rare protected tier (a JAWESOME also ends a BASED drought).
+     * @param {number[]} drops - Tier ids granted by the roll
+     */
+    recordPityRoll(drops) {
+      const best = drops.length > 0 ? Math.min(...drops) : Infinity;
+      for (let tier = 1; tier <= getRareTierFloor(); tier++) {
+        rollsSince[tier] = best <= tier ? 0 : rollsSince[tier] + 1;
+      }
+      save();
+      notify();
+    },
+
+    /**
+     * Forget every drought (counters back to zero)
+     */
+    resetPity() {
+      rollsSince = createCounters();
+      save();
+      notify();
+    },
+
+    /**
+     * Raw drought counters, for snapshotting (recordings start from them)
+     * @returns {Object<number, number>} Rare tier id -> rolls since it last dropped
+     */
+    getPityCounters: () => ({ ...rollsSince }),
+
+    /**
+     * Replace the drought counters (e.g. with ones from getPityCounters)
+     * @param {Object<number, number>} counters - Rare tier id -> rolls since it last dropped
+     */
+    setPityCounters(counters) {
+      rollsSince = readCounters(counters);
+      save();
+      notify();
+    },
+
+    /**
+     * Current protection state for debugging
+     * @returns {{tier: number, rollsSince: number, bonus: number}[]} One entry per rare tier
+     */
+    getPityState,
+
+    /**
+     * Subscribe to counter changes
+     * @param {(state: {tier: number, rollsSince: number, bonus: number}[]) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    onPityChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
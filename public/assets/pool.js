@@ -0,0 +1,73 @@
+/**
+ * Dice Pool Display
+ *
+ * Renders a rolled notation (see notation.js) inside the die container: one small
+ * die shape per rolled die with its face value, dropped dice dimmed, explosions
+ * marked, and the total underneath.
+ */
+
+const MAX_VISIBLE_DICE = 24;           // Larger pools show a "+N more" chip
+
+/**
+ * Create a pool display
+ * @param {object} elements
+ * @param {Element} elements.dieContainer - Die button the pool replaces
+ * @param {Element} elements.pool - Pool wrapper (hidden when idle)
+ * @param {Element} elements.poolDice - Holder for the rendered dice
+ * @param {Element} elements.poolTotal - Total line
+ * @returns {{showPool: Function, hidePool: Function}}
+ */
+export function createPool({ dieContainer, pool, poolDice, poolTotal }) {
+  /**
+   * Show a rolled pool in place of the single die
+   * @param {ReturnType<import('./notation.js').rollNotation>} roll - Rolled notation
+   * @param {(sides: number) => {viewBox: string, shape: string}} getShape - SVG shape per die size
+   */
+  function showPool(roll, getShape) {
+    const dice = roll.groups.flatMap(group => group.dice.map(die => ({ ...die, sides: group.sides })));
+    const fragment = document.createDocumentFragment();
+
+    dice.slice(0, MAX_VISIBLE_DICE).forEach((die, index) => {
+      const shape = getShape(die.sides);
+      const item = document.createElement('span');
+      item.className = 'pool-die';
+      item.classList.toggle('dropped', !die.kept);
+      item.classList.toggle('exploded', die.exploded);
+      item.style.setProperty('--pool-index', index);
+      item.innerHTML = `<svg viewBox="${shape.viewBox}" focusable="false">${shape.shape}</svg>`;
+
+      const value = document.createElement('span');
+      value.className = 'pool-value';
+      value.textContent = die.value;
+      item.appendChild(value);
+      fragment.appendChild(item);
+    });
+
+    if (dice.length > MAX_VISIBLE_DICE) {
+      const more = document.createElement('span');
+      more.className = 'pool-more';
+      more.textContent = `+${dice.length - MAX_VISIBLE_DICE}`;
+      fragment.appendChild(more);
+    }
+
+    poolDice.replaceChildren(fragment);
+
+    poolTotal.textContent = `${roll.notation} = ${roll.total}`;
+
+    pool.hidden = false;
+    dieContainer.classList.add('pool-active');
+  }
+
+  /**
+   * Hide the pool and bring back the single die
+   */
+  function hidePool() {
+    if (pool.hidden) return;
+    pool.hidden = true;
+    poolDice.replaceChildren();
+    poolTotal.textContent = '';
+    dieContainer.classList.remove('pool-active');
+  }
+
+  return { showPool, hidePool };
+}
@@ -0,0 +1,213 @@
+/**
+ * Session Recording
+ *
+ * A recording is the RNG seed, the state a session started from (die, custom dice,
+ * bad-luck counters, loot pile, ruleset) and every input tagged with the simulation tick it
+ * arrived on (see clock.js). Because rolls, drops and physics all run on that tick
+ * clock and the seeded RNG, feeding the same inputs back on the same ticks replays
+ * the session exactly - rolls, loot and the pile it ends with.
+ *
+ *   { version, seed, ticks, viewport: [w, h],
+ *     start: { die, customDice, pity, pile, ruleset },
+ *     inputs: [[tick, type, ...args], ...] }
+ *
+ * Input types (args in brackets):
+ *   pointerdown, pointerup           press/release on the die
+ *   dicedown, dicecancel             drag start/abort on the dice selection
+ *   dicemove [sides|null]            drag reached a die (null: moved over no die)
+ *   diceup [sides|null]              drag released (sides for a tap on a die)
+ *   keydown [code, repeat], keyup [code]
+ *   select [sides], custom [sides]   die button click, custom die form
+ *   notation [text]                  notation form
+ *   clear                            clear pile button
+ *   pulse [x, y]                     click/tap on the page that pushes the pile
+ *   grab [id, x, y]                  pointer pressed on the page: picks up a cube, or pulses
+ *   drag [id, x, y], release [id]    a grabbing pointer moved (at most once a tick) / let go
+ *   paddown [button], padup [button] gamepad 'press', 'prev' or 'next' (gamepad.js)
+ *   padtrigger [value]               gamepad trigger moved, 0..1
+ *   rollend                          die animation cycle finished (completes a roll)
+ *
+ * DOM-free, so Node scripts can check recordings too.
+ */
+
+import { isValidDieSize } from './shapes.js';
+import { readRuleset } from './rulesets.js';
+
+export const RECORDING_VERSION = 1;
+
+const MAX_RECORDING_BYTES = 2 * 1024 * 1024; // Refuse anything bigger when loading
+
+const INPUT_ARGS = {
+  pointerdown: [],
+  pointerup: [],
+  dicedown: [],
+  dicecancel: [],
+  dicemove: ['dieOrNull'],
+  diceup: ['dieOrNull'],
+  keydown: ['string', 'boolean'],
+  keyup: ['string'],
+  select: ['die'],
+  custom: ['numberOrNull'],
+  notation: ['string'],
+  clear: [],
+  pulse: ['number', 'number'],
+  grab: ['number', 'number', 'number'],
+  drag: ['number', 'number', 'number'],
+  release: ['number'],
+  paddown: ['padButton'],
+  padup: ['padButton'],
+  padtrigger: ['fraction'],
+  rollend: []
+};
+
+const ARG_CHECKS = {
+  die: value => isValidDieSize(value),
+  dieOrNull: value => value === null || isValidDieSize(value),
+  number: value => Number.isFinite(value),
+  numberOrNull: value => value === null || Number.isFinite(value),
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  fraction: value => Number.isFinite(value) && value >= 0 && value <= 1,
+  padButton: value => value === 'press' || value === 'prev' || value === 'next'
+};
+
+/**
+ * Error thrown for recordings that can't be read
+ */
+export class RecordingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecordingError';
+  }
+}
+
+/**
+ * Start a recording
+ * @param {object} start
+ * @param {number} start.seed - RNG seed the session was reseeded with
+ * @param {number} start.die - Selected die
+ * @param {number[]} start.customDice - Custom die sizes, oldest first
+ * @param {Object<number, number>} start.pity - Bad-luck counters (pity.js)
+ * @param {object} start.pile - Pile snapshot (physics getSnapshot)
+ * @param {object} start.ruleset - Ruleset the session plays by (rulesets.js)
+ * @param {number[]} start.viewport - [width, height] the session was played at
+ * @returns {{record: (tick: number, type: string, ...args: unknown[]) => void,
+ *   finish: (ticks: number) => object}}
+ */
+export function createRecorder({ seed, die, customDice, pity, pile, ruleset, viewport }) {
+  const inputs = [];
+
+  return {
+    /**
+     * Add an input
+     * @param {number} tick - Ticks since the recording started
+     * @param {string} type - Input type (see the list above)
+     * @param {...unknown} args - Input arguments
+     */
+    record(tick, type, ...args) {
+      inputs.push([tick, type, ...args]);
+    },
+
+    /**
+     * Close the recording
+     * @param {number} ticks - Ticks since the recording started
+     * @returns {object} The recording (plain JSON data)
+     */
+    finish(ticks) {
+      return {
+        version: RECORDING_VERSION,
+        seed,
+        ticks,
+        viewport,
+        start: { die, customDice, pity, pile, ruleset },
+        inputs
+      };
+    }
+  };
+}
+
+/**
+ * Parse and check a recording file
+ * @param {string} text - JSON text
+ * @returns {object} The recording
+ * @throws {RecordingError} If the file isn't a recording this version can replay
+ */
+export function parseRecording(text) {
+  if (text.length > MAX_RECORDING_BYTES) throw new RecordingError('Recording is too large');
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new RecordingError('Not a recording (invalid JSON)');
+  }
+
+  if (!data || typeof data !== 'object') throw new RecordingError('Not a recording');
+  if (data.version !== RECORDING_VERSION) {
+    throw new RecordingError(`Unsupported recording version: ${data.version}`);
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) throw new RecordingError('Recording has no valid seed');
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) throw new RecordingError('Recording has no valid length');
+  if (!Array.isArray(data.viewport) || !data.viewport.every(Number.isFinite)) {
+    throw new RecordingError('Recording has no valid viewport');
+  }
+
+  const start = data.start;
+  if (!start || typeof start !== 'object') throw new RecordingError('Recording has no start state');
+  if (!isValidDieSize(start.die)) throw new RecordingError('Recording starts on an invalid die');
+  if (!Array.isArray(start.customDice) || !start.customDice.every(isValidDieSize)) {
+    throw new RecordingError('Recording has invalid custom dice');
+  }
+  if (!start.pity || typeof start.pity !== 'object') throw new RecordingError('Recording has no bad-luck counters');
+  if (!start.pile || !Array.isArray(start.pile.cubes)) throw new RecordingError('Recording has no pile');
+  if (!start.ruleset || typeof start.ruleset !== 'object') throw new RecordingError('Recording has no ruleset');
+  start.ruleset = readRuleset(start.ruleset);
+  if (!start.ruleset) throw new RecordingError('Recording has an unknown ruleset');
+
+  if (!Array.isArray(data.inputs)) throw new RecordingError('Recording has no inputs');
+  let lastTick = 0;
+  data.inputs.forEach((input, index) => {
+    const [tick, type, ...args] = Array.isArray(input) ? input : [];
+    const argTypes = INPUT_ARGS[type];
+    if (!Number.isInteger(tick) || tick < lastTick || tick > data.ticks || !argTypes) {
+      throw new RecordingError(`Input ${index + 1} is invalid`);
+    }
+    if (args.length !== argTypes.length || !args.every((arg, i) => ARG_CHECKS[argTypes[i]](arg))) {
+      throw new RecordingError(`Input ${index + 1} (${type}) has invalid arguments`);
+    }
+    lastTick = tick;
+  });
+
+  return data;
+}
+
+/**
+ * Walk a recording's inputs tick by tick
+ * @param {object} recording - Checked recording (parseRecording)
+ * @returns {{inputsAt: (tick: number) => Array<[string, ...unknown[]]>, isDone: (tick: number) => boolean}}
+ */
+export function createPlayback(recording) {
+  let cursor = 0;
+
+  return {
+    /**
+     * Inputs that arrived once this many ticks had run (call before every tick, in order)
+     * @param {number} tick - Ticks run so far
+     * @returns {Array<[string, ...unknown[]]>} [type, ...args] entries
+     */
+    inputsAt(tick) {
+      const due = [];
+      while (cursor < recording.inputs.length && recording.inputs[cursor][0] <= tick) {
+        due.push(recording.inputs[cursor].slice(1));
+        cursor++;
+      }
+      return due;
+    },
+
+    /**
+     * @param {number} tick - Ticks played so far
+     * @returns {boolean} Whether the recording has been played to its end
+     */
+    isDone: tick => tick >= recording.ticks && cursor >= recording.inputs.length
+  };
+}
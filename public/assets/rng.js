@@ -0,0 +1,135 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Each fidget gets its own PRNG (createRng) and uses it for every gameplay decision
+ * (roll results, loot tiers, cube spawns), so a session can be replayed exactly from
+ * its seed no matter what else on the page is rolling.
+ * Cosmetic effects (particles, sparkles) keep using Math.random().
+ */
+
+const SEED_PARAM = 'seed';
+const DEBUG_PARAM = 'debug';
+
+/**
+ * Hash a string into an unsigned 32-bit seed (FNV-1a)
+ * @param {string} text - Arbitrary seed text
+ * @returns {number} Unsigned 32-bit integer
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalize a seed value into an unsigned 32-bit integer.
+ * Numeric strings are used as-is so `?seed=42` means seed 42.
+ * @param {number|string} value - Seed value
+ * @returns {number} Unsigned 32-bit integer
+ */
+function normalizeSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.floor(value) >>> 0;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  return hashSeed(text);
+}
+
+/**
+ * A fresh seed, for starting a session nobody asked to reproduce
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * The seed a page asked for with `?seed=`, or a fresh one when none is given. The
+ * seed is only logged when the page asks for it, with `?seed=` or `?debug`.
+ * @returns {number} Normalized seed
+ */
+export function readPageSeed() {
+  const params = new URLSearchParams(window.location.search);
+  const param = params.get(SEED_PARAM);
+  const seeded = param !== null && param.trim() !== '';
+  const seed = seeded ? normalizeSeed(param) : randomSeed();
+  if (seeded || params.has(DEBUG_PARAM)) {
+    console.info(`[rng] seed ${seed} (reproduce with ?${SEED_PARAM}=${seed})`);
+  }
+  return seed;
+}
+
+// mulberry32 output for a state
+function mix(value) {
+  let t = value;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Create a generator (mulberry32)
+ * @param {number|string} [value] - Seed value (integer or arbitrary string), fresh by default
+ * @returns {{random: () => number, randomInt: (min: number, max: number) => number,
+ *   setSeed: (value: number|string) => number, getSeed: () => number}}
+ */
+export function createRng(value = randomSeed()) {
+  // State
+  let seed = 0;
+  let state = 0;
+
+  /**
+   * Seed the generator. Resets the sequence to its start.
+   * @param {number|string} next - Seed value (integer or arbitrary string)
+   * @returns {number} The normalized seed in use
+   */
+  function setSeed(next) {
+    seed = normalizeSeed(next);
+    state = seed;
+    return seed;
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   * @returns {number}
+   */
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    return mix(state);
+  }
+
+  setSeed(value);
+  return {
+    random,
+
+    /**
+     * Random integer in [min, max] inclusive
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number}
+     */
+    randomInt: (min, max) => Math.floor(random() * (max - min + 1)) + min,
+
+    setSeed,
+
+    /** @returns {number} The seed the current sequence started from */
+    getSeed: () => seed
+  };
+}
+
+/**
+ * Bare generator with its own sequence, for work handed off somewhere an instance's
+ * generator can't reach (the physics worker). Seed it from that generator so it is
+ * as reproducible as everything else.
+ * @param {number|string} value - Seed value
+ * @returns {() => number} Generator returning floats in [0, 1)
+ */
+export function createRandom(value) {
+  return createRng(value).random;
+}
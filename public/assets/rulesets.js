@@ -0,0 +1,169 @@
+/**
+ * Rulesets
+ *
+ * Named bundles of the numbers that decide how a session plays: the energy system,
+ * the ramp rule (how far overcharge goes), the loot table and the consolation odds.
+ * 'classic' is the original feel; 'custom' takes any values inside RULESET_FIELDS.
+ *
+ * Piles, history, best scores and bad-luck counters are saved per ruleset
+ * (rulesetStoragePrefix), so scores are only ever compared against runs under the same
+ * rules and a drought under one doesn't shift the odds under another.
+ */
+
+export const DEFAULT_RULESET = 'classic';
+export const CUSTOM_RULESET = 'custom';
+
+const RULESET_CHOICE_KEY = 'ruleset';
+const RULESET_CHOICE_VERSION = 1;
+
+/**
+ * Tunable values with their allowed range. Custom rulesets and recordings are
+ * clamped into these.
+ */
+export const RULESET_FIELDS = {
+  // Energy
+  maxEnergyMs: { label: 'full charge (ms)', min: 500, max: 10000, step: 50 },
+  energyPerClickMs: { label: 'charge per press (ms)', min: 50, max: 2000, step: 10 },
+  holdDrainRate: { label: 'drain while held (/ms)', min: 0, max: 5, step: 0.05 },
+  releaseDrainRate: { label: 'drain after release (/ms)', min: 0.1, max: 10, step: 0.1 },
+  holdIntervalMs: { label: 'hold repeat (ms)', min: 100, max: 2000, step: 10 },
+  // Ramp rule - overcharge stages past d+1 (see game.js)
+  maxStage: { label: 'overcharge stages', min: 1, max: 3, step: 1 },
+  overchargeStageMs: { label: 'charge per stage (ms)', min: 100, max: 5000, step: 50 },
+  // Loot table
+  rarityDieScale: { label: 'rarity die scale', min: 0.5, max: 5, step: 0.25 },
+  dropMultiplier: { label: 'drop multiplier', min: 0.25, max: 4, step: 0.25 },
+  // Consolation odds
+  consolationMaxTrash: { label: 'miss trash (max)', min: 1, max: 10, step: 1 },
+  consolationZzzChance: { label: 'miss zzz chance', min: 0, max: 1, step: 0.05 }
+};
+
+const PRESETS = {
+  chill: {
+    maxEnergyMs: 1500,
+    energyPerClickMs: 500,
+    holdDrainRate: 0.05,
+    releaseDrainRate: 1,
+    holdIntervalMs: 400,
+    maxStage: 1,                 // No overcharge - nothing to lose
+    overchargeStageMs: 1000,
+    rarityDieScale: 1,
+    dropMultiplier: 1,
+    consolationMaxTrash: 3,
+    consolationZzzChance: 0.5
+  },
+  classic: {
+    maxEnergyMs: 2000,
+    energyPerClickMs: 450,
+    holdDrainRate: 0.1,          // Slow - sustains charge
+    releaseDrainRate: 1.5,       // Fast - forces decision
+    holdIntervalMs: 500,
+    maxStage: 3,
+    overchargeStageMs: 1000,
+    rarityDieScale: 1,
+    dropMultiplier: 1,
+    consolationMaxTrash: 3,
+    consolationZzzChance: 0.25
+  },
+  frantic: {
+    maxEnergyMs: 2500,
+    energyPerClickMs: 400,
+    holdDrainRate: 0.3,
+    releaseDrainRate: 2.5,
+    holdIntervalMs: 350,
+    maxStage: 3,
+    overchargeStageMs: 700,
+    rarityDieScale: 1.5,         // Harder to charge, better loot when it lands
+    dropMultiplier: 1.25,
+    consolationMaxTrash: 2,
+    consolationZzzChance: 0.1
+  }
+};
+
+/** Preset ids in menu order, custom last */
+export const RULESET_IDS = [...Object.keys(PRESETS), CUSTOM_RULESET];
+
+function clampField(name, value) {
+  const { min, max } = RULESET_FIELDS[name];
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Look up a ruleset
+ * @param {string} id - Preset id ('chill', 'classic', 'frantic'); unknown ids get classic
+ * @returns {object} The ruleset: { id, ...RULESET_FIELDS values }
+ */
+export function getRuleset(id) {
+  const preset = PRESETS[id] ? id : DEFAULT_RULESET;
+  return { id: preset, ...PRESETS[preset] };
+}
+
+/**
+ * Build a ruleset from loose data (a saved custom ruleset, a recording). Known
+ * presets come back as the preset; custom values are clamped into range and
+ * missing ones are filled in from classic.
+ * @param {object} data - { id, ...values }
+ * @returns {object|null} The ruleset, or null when the data isn't one
+ */
+export function readRuleset(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (PRESETS[data.id]) return getRuleset(data.id);
+  if (data.id !== CUSTOM_RULESET) return null;
+
+  const ruleset = { id: CUSTOM_RULESET };
+  Object.keys(RULESET_FIELDS).forEach(name => {
+    const value = Number.isFinite(data[name]) ? data[name] : PRESETS[DEFAULT_RULESET][name];
+    ruleset[name] = clampField(name, value);
+  });
+  ruleset.maxStage = Math.round(ruleset.maxStage);
+  ruleset.consolationMaxTrash = Math.round(ruleset.consolationMaxTrash);
+  return ruleset;
+}
+
+/**
+ * Storage prefix for what's kept per ruleset (pile, history, best score, bad-luck
+ * counters). Classic keeps the unprefixed keys it has always used.
+ * @param {object} ruleset
+ * @returns {string}
+ */
+export function rulesetStoragePrefix(ruleset) {
+  return ruleset.id === DEFAULT_RULESET ? '' : `${ruleset.id}-`;
+}
+
+/**
+ * The saved ruleset choice, plus the last custom values (so switching away from
+ * custom and back keeps them)
+ * @param {string} [storagePrefix]
+ * @returns {{ruleset: object, custom: object}}
+ */
+export function loadRulesetChoice(storagePrefix = '') {
+  let data = null;
+  try {
+    data = JSON.parse(localStorage.getItem(storagePrefix + RULESET_CHOICE_KEY));
+  } catch (e) {
+    // Unavailable storage or corrupt JSON - fall back to classic
+  }
+
+  const valid = data && data.version === RULESET_CHOICE_VERSION;
+  const custom = readRuleset({ ...(valid ? data.custom : null), id: CUSTOM_RULESET });
+  const ruleset = valid && data.id === CUSTOM_RULESET ? custom : getRuleset(valid ? data.id : DEFAULT_RULESET);
+  return { ruleset, custom };
+}
+
+/**
+ * Save the ruleset choice
+ * @param {object} ruleset - Chosen ruleset
+ * @param {object} custom - Custom values to keep
+ * @param {string} [storagePrefix]
+ */
+export function saveRulesetChoice(ruleset, custom, storagePrefix = '') {
+  try {
+    localStorage.setItem(storagePrefix + RULESET_CHOICE_KEY, JSON.stringify({
+      version: RULESET_CHOICE_VERSION,
+      id: ruleset.id,
+      custom
+    }));
+  } catch (e) {
+    // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Score HUD
+ *
+ * Running score for the loot pile (sum of tier points for every landed cube),
+ * with session and all-time bests. Gains arriving close together are grouped into
+ * a single "haul" so big drops animate and announce once.
+ */
+
+import { pageStorage } from './shared.js';
+
+const BEST_SCORE_KEY = 'best-score';
+
+const HAUL_SETTLE_MS = 600;            // Quiet time after the last gain before a haul is finished
+const BIG_HAUL_POINTS = 100;           // Haul size that earns the big animation
+
+/**
+ * Create a score HUD
+ * @param {object} elements
+ * @param {Element} elements.hud - HUD wrapper (gets the haul animation classes)
+ * @param {Element} elements.scoreValue - Current score
+ * @param {Element} elements.sessionBestValue - Best score this session
+ * @param {Element} elements.allTimeBestValue - Best score ever
+ * @param {object} options
+ * @param {(message: string) => void} options.announce - Screen reader announcer
+ * @param {string} [options.storagePrefix] - Prefix for the saved all-time best
+ * @param {object} [options.storage] - Where to save (localStorage by default, see shared.js)
+ * @returns {{updateScore: (points: number) => void, destroy: () => void}}
+ */
+export function createScore(
+  { hud, scoreValue, sessionBestValue, allTimeBestValue },
+  { announce, storagePrefix = '', storage = pageStorage }
+) {
+  const storageKey = storagePrefix + BEST_SCORE_KEY;
+
+  // State
+  let score = 0;
+  let sessionBest = 0;
+  let allTimeBest = 0;
+  let hasBaseline = false; // First update (restored pile) sets the score without animating
+  let haulPoints = 0;
+  let haulTimeout = null;
+
+  try {
+    allTimeBest = parseInt(storage.getItem(storageKey), 10) || 0;
+  } catch (e) {
+    // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+  }
+
+  render();
+
+  /**
+   * Update the score from the current pile total.
+   * @param {number} points - Points of every landed cube in the pile
+   */
+  function updateScore(points) {
+    const gained = points - score;
+    score = points;
+
+    if (!hasBaseline) {
+      hasBaseline = true;
+      recordBest();
+      render();
+      return;
+    }
+
+    if (gained > 0) {
+      haulPoints += gained;
+      clearTimeout(haulTimeout);
+      haulTimeout = setTimeout(finishHaul, HAUL_SETTLE_MS);
+    } else if (score === 0) {
+      // Pile cleared - drop any haul still in progress
+      clearTimeout(haulTimeout);
+      haulTimeout = null;
+      haulPoints = 0;
+    }
+
+    render();
+  }
+
+  function finishHaul() {
+    const points = haulPoints;
+    haulPoints = 0;
+    haulTimeout = null;
+
+    hud.classList.remove('haul', 'big-haul');
+    void hud.offsetWidth;
+    hud.classList.add(points >= BIG_HAUL_POINTS ? 'big-haul' : 'haul');
+
+    const isNewBest = recordBest();
+    render();
+
+    announce(isNewBest
+      ? `Plus ${points} points. New best score: ${score}`
+      : `Plus ${points} points. Score ${score}`);
+  }
+
+  /**
+   * Raise the session/all-time bests to the current score.
+   * @returns {boolean} Whether the all-time best was beaten
+   */
+  function recordBest() {
+    sessionBest = Math.max(sessionBest, score);
+    if (score <= allTimeBest) return false;
+
+    allTimeBest = score;
+    try {
+      storage.setItem(storageKey, String(allTimeBest));
+    } catch (e) {
+      // localStorage may be unavailable (private browsing, quota exceeded, etc.)
+    }
+    return true;
+  }
+
+  function render() {
+    scoreValue.textContent = score;
+    sessionBestValue.textContent = sessionBest;
+    allTimeBestValue.textContent = allTimeBest;
+  }
+
+  return {
+    updateScore,
+
+    destroy() {
+      clearTimeout(haulTimeout);
+      haulTimeout = null;
+    }
+  };
+}
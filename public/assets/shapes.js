@@ -0,0 +1,88 @@
+/**
+ * Die Shapes
+ *
+ * SVG outlines for every die size. The standard dice keep their hand-drawn shapes;
+ * any other size gets a regular polygon generated from its side count.
+ */
+
+export const MIN_DIE_SIDES = 2;
+export const MAX_DIE_SIDES = 1000;
+
+const MAX_POLYGON_VERTICES = 16;       // Past this a polygon reads as a circle anyway
+const POLYGON_RADIUS = 42;
+
+const DIE_SHAPES = {
+  4: { viewBox: '-50 -50 100 100', shape: '<polygon points="0,-50 -45,25 45,25" />' },
+  6: { viewBox: '0 0 100 100', shape: '<rect x="10" y="10" width="80" height="80" rx="4" />' },
+  8: { viewBox: '0 0 100 100', shape: '<polygon points="50,10 90,50 50,90 10,50" />' },
+  10: { viewBox: '0 0 100 100', shape: '<polygon points="50,10 82,28 90,58 50,90 10,58 18,28" />' },
+  12: { viewBox: '0 0 100 100', shape: '<polygon points="50,10 78,18 92,42 82,75 50,90 18,75 8,42 22,18" />' },
+  20: { viewBox: '0 0 100 100', shape: '<polygon points="50,8 90,28 90,72 50,92 10,72 10,28" />' },
+  100: { viewBox: '0 0 100 100', shape: '<polygon points="50,6 79,13 95,38 95,62 79,87 50,94 21,87 5,62 5,38 21,13" />' }
+};
+
+const generatedShapes = new Map();
+
+/**
+ * Whether a die size can be rolled
+ * @param {number} sides - Number of sides
+ * @returns {boolean}
+ */
+export function isValidDieSize(sides) {
+  return Number.isInteger(sides) && sides >= MIN_DIE_SIDES && sides <= MAX_DIE_SIDES;
+}
+
+/**
+ * Whether a die size has a hand-drawn shape
+ * @param {number} sides - Number of sides
+ * @returns {boolean}
+ */
+export function isStandardDie(sides) {
+  return Object.hasOwn(DIE_SHAPES, sides);
+}
+
+/**
+ * SVG shape for a die size
+ * @param {number} sides - Number of sides
+ * @returns {{viewBox: string, shape: string}}
+ */
+export function getDieShape(sides) {
+  if (isStandardDie(sides)) return DIE_SHAPES[sides];
+
+  let shape = generatedShapes.get(sides);
+  if (!shape) {
+    shape = generateShape(sides);
+    generatedShapes.set(sides, shape);
+  }
+  return shape;
+}
+
+// Vertex count grows with the die up to 12, then slowly (log scale) to the cap
+function vertexCount(sides) {
+  if (sides <= 12) return Math.max(sides, 3);
+  return Math.min(12 + Math.round(Math.log2(sides / 12) * 2), MAX_POLYGON_VERTICES);
+}
+
+function generateShape(sides) {
+  // A coin is a circle
+  if (sides === 2) {
+    return {
+      viewBox: '0 0 100 100',
+      shape: `<circle cx="50" cy="50" r="${POLYGON_RADIUS}" />`
+    };
+  }
+
+  const vertices = vertexCount(sides);
+  const step = (Math.PI * 2) / vertices;
+  // Point up for odd counts, flat top/bottom for even counts
+  const start = -Math.PI / 2 + (vertices % 2 === 0 ? step / 2 : 0);
+  const points = [];
+  for (let i = 0; i < vertices; i++) {
+    const angle = start + i * step;
+    const x = 50 + Math.cos(angle) * POLYGON_RADIUS;
+    const y = 50 + Math.sin(angle) * POLYGON_RADIUS;
+    points.push(`${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`);
+  }
+
+  return { viewBox: '0 0 100 100', shape: `<polygon points="${points.join(' ')}" />` };
+}
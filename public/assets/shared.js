@@ -4,30 +4,76 @@
  * Common functions used across multiple modules.
  */
 
-// Cached DOM reference
-let announcements = null;
-let announceTimeout = null;
+const ANNOUNCE_CLEAR_MS = 1000;
 
 /**
- * Initialize shared utilities (must be called once from app.js)
+ * The page's localStorage, looked up on every call so a page that can't have it
+ * (sandboxed frames, Node scripts) throws inside the caller's try/catch. Modules that
+ * save take a `storage` option defaulting to this.
  */
-export function initShared() {
-  announcements = document.getElementById('announcements');
+export const pageStorage = {
+  getItem: key => localStorage.getItem(key),
+  setItem: (key, value) => localStorage.setItem(key, value),
+  removeItem: key => localStorage.removeItem(key)
+};
+
+/**
+ * Storage that lives only as long as the object (replays play against it, so nothing
+ * they do reaches the real saves)
+ * @returns {{getItem: (key: string) => string|null, setItem: (key: string, value: string) => void,
+ *   removeItem: (key: string) => void}}
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Create a screen reader announcer for a live region element.
+ * Messages clear after 1 second; a new message cancels the previous one.
+ * @param {Element|null} element - aria-live region (announcing is a no-op without one)
+ * @returns {{announce: (message: string) => void, destroy: () => void}}
+ */
+export function createAnnouncer(element) {
+  let announceTimeout = null;
+
+  return {
+    announce(message) {
+      if (!element) return;
+      if (announceTimeout) {
+        clearTimeout(announceTimeout);
+      }
+      element.textContent = message;
+      announceTimeout = setTimeout(() => {
+        element.textContent = '';
+        announceTimeout = null;
+      }, ANNOUNCE_CLEAR_MS);
+    },
+
+    destroy() {
+      clearTimeout(announceTimeout);
+      announceTimeout = null;
+    }
+  };
 }
 
 /**
- * Announce a message to screen readers via the announcements element.
- * Clears after 1 second. Subsequent calls cancel previous announcements.
- * @param {string} message - The message to announce
+ * Save text as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ * @param {string} contents - File contents
  */
-export function announce(message) {
-  if (!announcements) return;
-  if (announceTimeout) {
-    clearTimeout(announceTimeout);
-  }
-  announcements.textContent = message;
-  announceTimeout = setTimeout(() => {
-    announcements.textContent = '';
-    announceTimeout = null;
-  }, 1000);
+export function download(filename, type, contents) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
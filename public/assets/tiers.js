@@ -0,0 +1,230 @@
+/**
+ * Tier Registry
+ *
+ * Single source for loot tiers (name, color, cube size, points) and per-die rarity
+ * weights, loaded from tiers.json and validated before anything reads it.
+ *
+ * Tier ids run from 1 (rarest) to N (most common). The two most common tiers are
+ * the junk tiers: N is TRASH (guaranteed/consolation drops) and N - 1 is ZZZ.
+ * N - 2 (DECENT) is the pity tier handed out when a drop is all junk.
+ * Tiers flagged `rare` (1 through some id above the pity tier) are the ones bad-luck
+ * protection watches and a crit guarantees.
+ * Weights list one percentage per tier, in id order, and must add up to 100.
+ * Die sizes without a row are interpolated between the neighboring rows.
+ */
+
+const TIER_TABLE_URL = new URL('./tiers.json', import.meta.url);
+const WEIGHT_SUM_TOLERANCE = 1e-6;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// State
+let tiers = null; // Map of tier id -> { id, name, color, size, points, rare }
+let weightsByDie = null; // Map of die size -> [weight per tier] (table rows + interpolated)
+let tableDice = null; // Die sizes with a row in the table, ascending
+let tableData = null; // The installed table as given (for handing to a worker)
+let rareTierFloor = 0; // Least rare of the rare tiers
+
+/**
+ * Check a tier table and collect every problem found.
+ * @param {object} data - Parsed tiers.json contents
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateTierTable(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') {
+    return ['table must be an object'];
+  }
+
+  const tierList = Array.isArray(data.tiers) ? data.tiers : [];
+  if (tierList.length < 3) {
+    errors.push('at least three tiers are required (pity tier, ZZZ and TRASH)');
+  }
+
+  const names = new Set();
+  const ids = tierList.map(tier => tier && tier.id).sort((a, b) => a - b);
+  if (!ids.every((id, index) => id === index + 1)) {
+    errors.push(`tier ids must be contiguous from 1 (found ${ids.join(', ')})`);
+  }
+
+  tierList.forEach((tier, index) => {
+    const label = tier && tier.name ? tier.name : `#${index}`;
+    if (!tier || typeof tier.name !== 'string' || tier.name.trim() === '') {
+      errors.push(`tier ${label}: name is required`);
+    } else if (names.has(tier.name)) {
+      errors.push(`tier ${label}: duplicate name`);
+    } else {
+      names.add(tier.name);
+    }
+    if (!tier || !HEX_COLOR.test(tier.color)) {
+      errors.push(`tier ${label}: color must be a #RRGGBB hex value`);
+    }
+    if (!tier || !(Number.isFinite(tier.size) && tier.size > 0)) {
+      errors.push(`tier ${label}: size must be a positive number`);
+    }
+    if (!tier || !(Number.isFinite(tier.points) && tier.points >= 0)) {
+      errors.push(`tier ${label}: points must be a non-negative number`);
+    }
+    if (tier && tier.rare !== undefined && typeof tier.rare !== 'boolean') {
+      errors.push(`tier ${label}: rare must be true or false`);
+    }
+  });
+
+  const rareIds = tierList
+    .filter(tier => tier && tier.rare === true)
+    .map(tier => tier.id)
+    .sort((a, b) => a - b);
+  if (rareIds.length === 0) {
+    errors.push('at least one tier must be rare');
+  } else if (!rareIds.every((id, index) => id === index + 1)) {
+    errors.push(`rare tiers must run from tier 1 without gaps (found ${rareIds.join(', ')})`);
+  } else if (rareIds.length > tierList.length - 3) {
+    errors.push('the pity tier, ZZZ and TRASH can\'t be rare');
+  }
+
+  const weights = data.weights && typeof data.weights === 'object' ? data.weights : {};
+  const dice = Object.keys(weights);
+  if (dice.length === 0) {
+    errors.push('weights must define at least one die');
+  }
+
+  dice.forEach(die => {
+    const row = weights[die];
+    if (!/^[1-9]\d*$/.test(die)) {
+      errors.push(`weights d${die}: die size must be a positive integer`);
+    }
+    if (!Array.isArray(row) || row.length !== tierList.length) {
+      errors.push(`weights d${die}: expected ${tierList.length} entries (one per tier)`);
+      return;
+    }
+    if (!row.every(weight => Number.isFinite(weight) && weight >= 0)) {
+      errors.push(`weights d${die}: entries must be non-negative numbers`);
+      return;
+    }
+    const sum = row.reduce((total, weight) => total + weight, 0);
+    if (Math.abs(sum - 100) > WEIGHT_SUM_TOLERANCE) {
+      errors.push(`weights d${die}: must add up to 100 (got ${sum})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate and install a tier table.
+ * @param {object} data - Parsed tiers.json contents
+ * @throws {Error} If the table is invalid (message lists every problem)
+ */
+export function setTierTable(data) {
+  const errors = validateTierTable(data);
+  if (errors.length > 0) {
+    throw new Error(`[tiers] Invalid tier table:\n- ${errors.join('\n- ')}`);
+  }
+
+  tiers = new Map(data.tiers.map(tier => [tier.id, { ...tier, rare: tier.rare === true }]));
+  rareTierFloor = data.tiers.filter(tier => tier.rare === true).length;
+  weightsByDie = new Map(
+    Object.entries(data.weights).map(([die, row]) => [Number(die), [...row]])
+  );
+  tableDice = [...weightsByDie.keys()].sort((a, b) => a - b);
+  tableData = structuredClone(data);
+}
+
+/**
+ * The installed table, as passed to setTierTable() - for installing the same table in a
+ * worker
+ * @returns {object}
+ */
+export function getTierTable() {
+  assertLoaded();
+  return structuredClone(tableData);
+}
+
+/**
+ * Fetch, validate and install tiers.json (must be awaited once from app.js)
+ * @throws {Error} If the table cannot be loaded or is invalid
+ */
+export async function loadTierTable() {
+  const response = await fetch(TIER_TABLE_URL);
+  if (!response.ok) {
+    throw new Error(`[tiers] Failed to load ${TIER_TABLE_URL} (${response.status})`);
+  }
+  setTierTable(await response.json());
+}
+
+function assertLoaded() {
+  if (!tiers) {
+    throw new Error('[tiers] Tier table used before loadTierTable()/setTierTable()');
+  }
+}
+
+/**
+ * @returns {number} Number of tiers (also the id of the most common tier)
+ */
+export function getTierCount() {
+  assertLoaded();
+  return tiers.size;
+}
+
+/**
+ * Look up a tier. Unknown ids resolve to TRASH.
+ * @param {number} id - Tier id (1 = rarest)
+ * @returns {{id: number, name: string, color: string, size: number, points: number, rare: boolean}}
+ */
+export function getTier(id) {
+  assertLoaded();
+  return tiers.get(id) || tiers.get(tiers.size);
+}
+
+/**
+ * @returns {number} Id of the TRASH tier (most common)
+ */
+export function getTrashTier() {
+  return getTierCount();
+}
+
+/**
+ * @returns {number} Id of the ZZZ tier (second most common)
+ */
+export function getZzzTier() {
+  return getTierCount() - 1;
+}
+
+/**
+ * @returns {number} Id of the least rare of the rare tiers (tiers 1 through it are rare)
+ */
+export function getRareTierFloor() {
+  assertLoaded();
+  return rareTierFloor;
+}
+
+/**
+ * Rarity weights for a die. Sizes between two table rows are interpolated on a log
+ * scale (d30 sits between d20 and d100); sizes outside the table use the nearest row.
+ * @param {number} dieSize - Die size (e.g. 20)
+ * @returns {number[]} One percentage per tier, in id order
+ */
+export function getRarityWeights(dieSize) {
+  assertLoaded();
+  let weights = weightsByDie.get(dieSize);
+  if (!weights) {
+    weights = interpolateWeights(dieSize);
+    weightsByDie.set(dieSize, weights);
+  }
+  return weights;
+}
+
+function interpolateWeights(dieSize) {
+  const smallest = tableDice[0];
+  const largest = tableDice[tableDice.length - 1];
+  if (!(dieSize > smallest)) return weightsByDie.get(smallest);
+  if (dieSize >= largest) return weightsByDie.get(largest);
+
+  const upper = tableDice.find(die => die > dieSize);
+  const lower = tableDice[tableDice.indexOf(upper) - 1];
+  const t = (Math.log(dieSize) - Math.log(lower)) / (Math.log(upper) - Math.log(lower));
+  const lowerRow = weightsByDie.get(lower);
+  const upperRow = weightsByDie.get(upper);
+
+  // A blend of two rows that each add up to 100 still adds up to 100
+  return lowerRow.map((weight, index) => weight + (upperRow[index] - weight) * t);
+}
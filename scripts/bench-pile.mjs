@@ -0,0 +1,247 @@
+import fs from "node:fs";
+import path from "node:path";
+import { performance } from "node:perf_hooks";
+import { parseArgs } from "node:util";
+
+const TIER_TABLE_PATH = "public/assets/tiers.json";
+const DEFAULT_SIZES = [100, 1000, 5000];
+const DEFAULT_FRAMES = 300;
+const VIEWPORT = [1920, 1080];
+const BUCKET_BOTTOM = 1000;
+const DROP_BATCH = 50; // Cubes per wave while building the pile
+const DROP_GAP_TICKS = 10;
+const SETTLE_TICKS = 600;
+const TRICKLE_EVERY = 60; // A few new cubes land on the pile while measuring
+const TRICKLE_COUNT = 10;
+const RARITY_DIE = 20;
+
+const USAGE = `Usage: bun run bench:pile [--sizes 100,1000,5000] [--frames N] [--json]
+
+Builds a pile of each size in a ${VIEWPORT.join("x")} viewport, lets it settle, then
+times N frames (one physics step + one render) while ${TRICKLE_COUNT} new cubes drop
+every ${TRICKLE_EVERY} frames. Each size runs with the default body budget and with
+none, so packing's effect shows side by side. Same-tier cubes fuse as they settle,
+so the pile ends up smaller than the number dropped.
+
+Render runs against a stub 2D context: its times are the JS and draw-call cost,
+not rasterization. Draw calls per frame are counted to show the batching.`;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      sizes: { type: "string" },
+      frames: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const sizes = values.sizes === undefined ? DEFAULT_SIZES : values.sizes.split(",").map(Number);
+  if (!sizes.every((size) => Number.isInteger(size) && size > 0)) {
+    console.error(`[bench:pile] --sizes must be positive integers (got ${values.sizes})`);
+    process.exit(1);
+  }
+
+  const frames = values.frames === undefined ? DEFAULT_FRAMES : Number(values.frames);
+  if (!Number.isInteger(frames) || frames <= 0) {
+    console.error(`[bench:pile] --frames must be a positive integer (got ${values.frames})`);
+    process.exit(1);
+  }
+
+  return { sizes, frames, json: values.json };
+}
+
+// 2D context that does nothing but count the calls that put pixels down
+function createStubContext(counter) {
+  const draw = () => {
+    counter.draws++;
+  };
+  const noop = () => {};
+  return {
+    fill: draw,
+    stroke: draw,
+    fillRect: draw,
+    strokeRect: draw,
+    fillText: draw,
+    drawImage: draw,
+    clearRect: noop,
+    setTransform: noop,
+    scale: noop,
+    translate: noop,
+    rotate: noop,
+    save: noop,
+    restore: noop,
+    beginPath: noop,
+    moveTo: noop,
+    lineTo: noop,
+    closePath: noop,
+    measureText: (text) => ({ width: text.length * 6 }),
+  };
+}
+
+function createStubCanvas(counter) {
+  const context = createStubContext(counter);
+  return { width: 0, height: 0, style: {}, getContext: () => context };
+}
+
+// Without OffscreenCanvas the world makes its cached layer through the document
+function installGlobals(counter) {
+  globalThis.document = { createElement: () => createStubCanvas(counter) };
+}
+
+function loadTierTable(setTierTable) {
+  const tablePath = path.resolve(process.cwd(), TIER_TABLE_PATH);
+  try {
+    setTierTable(JSON.parse(fs.readFileSync(tablePath, "utf8")));
+  } catch (error) {
+    console.error(`\n[bench:pile] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return { mean, p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] };
+}
+
+async function benchPile(modules, counter, size, maxBodies, frames) {
+  const { createPhysicsWorld, rollLaunch, random, getRarityWeights } = modules;
+  const weights = getRarityWeights(RARITY_DIE);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const pickTier = () => {
+    let roll = random() * total;
+    for (let i = 0; i < weights.length - 1; i++) {
+      roll -= weights[i];
+      if (roll < 0) return i + 1;
+    }
+    return weights.length;
+  };
+
+  const layout = {
+    width: VIEWPORT[0],
+    height: VIEWPORT[1],
+    dpr: 1,
+    bucket: { left: 660, right: 1260, top: BUCKET_BOTTOM - 160, bottom: BUCKET_BOTTOM },
+  };
+  const physics = await createPhysicsWorld({
+    canvas: createStubCanvas(counter),
+    layout,
+    maxBodies,
+  });
+  const drop = (count) => {
+    for (let i = 0; i < count; i++) {
+      const x = VIEWPORT[0] * (0.1 + random() * 0.8);
+      physics.spawnCube(pickTier(), rollLaunch(x, VIEWPORT[1] * 0.2, layout.bucket, random));
+    }
+  };
+
+  // Build the pile in waves so the cubes don't spawn inside each other, then settle
+  for (let dropped = 0; dropped < size; dropped += DROP_BATCH) {
+    drop(Math.min(DROP_BATCH, size - dropped));
+    for (let i = 0; i < DROP_GAP_TICKS; i++) physics.step();
+  }
+  for (let i = 0; i < SETTLE_TICKS; i++) physics.step();
+
+  const stepTimes = [];
+  const renderTimes = [];
+  let draws = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    if (frame % TRICKLE_EVERY === 0) drop(TRICKLE_COUNT);
+    let start = performance.now();
+    physics.step();
+    stepTimes.push(performance.now() - start);
+
+    counter.draws = 0;
+    start = performance.now();
+    physics.render(1);
+    renderTimes.push(performance.now() - start);
+    draws += counter.draws;
+  }
+
+  const pile = physics.getPile();
+  const bodies = physics.getSnapshot().cubes.length;
+  physics.destroy();
+  return {
+    size,
+    maxBodies: Number.isFinite(maxBodies) ? maxBodies : null,
+    pile: pile.count,
+    bodies,
+    step: summarize(stepTimes),
+    render: summarize(renderTimes),
+    drawsPerFrame: draws / frames,
+  };
+}
+
+function ms(value) {
+  return value.toFixed(2);
+}
+
+function printTable(results, frames) {
+  console.log(
+    `[bench:pile] ${frames} frames per pile, ${VIEWPORT.join("x")} viewport, times in ms (render: JS + draw calls only)\n`,
+  );
+
+  const header = [
+    "dropped",
+    "pile",
+    "budget",
+    "bodies",
+    "step mean",
+    "step p95",
+    "render mean",
+    "render p95",
+    "draws/frame",
+  ];
+  const rows = results.map((r) => [
+    String(r.size),
+    String(r.pile),
+    r.maxBodies === null ? "none" : String(r.maxBodies),
+    String(r.bodies),
+    ms(r.step.mean),
+    ms(r.step.p95),
+    ms(r.render.mean),
+    ms(r.render.p95),
+    r.drawsPerFrame.toFixed(1),
+  ]);
+  const widths = header.map((cell, i) =>
+    Math.max(cell.length, ...rows.map((row) => row[i].length)),
+  );
+  const format = (row) => row.map((cell, i) => cell.padStart(widths[i])).join("  ");
+  console.log(format(header));
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  for (const row of rows) {
+    console.log(format(row));
+  }
+}
+
+const options = parseOptions();
+const counter = { draws: 0 };
+installGlobals(counter);
+
+const { createPhysicsWorld, rollLaunch, DEFAULT_MAX_BODIES } = await import(
+  "../public/assets/physics.js"
+);
+const { createRng } = await import("../public/assets/rng.js");
+const { getRarityWeights, setTierTable } = await import("../public/assets/tiers.js");
+loadTierTable(setTierTable);
+const modules = { createPhysicsWorld, rollLaunch, getRarityWeights };
+
+const results = [];
+for (const size of options.sizes) {
+  for (const maxBodies of [DEFAULT_MAX_BODIES, Number.POSITIVE_INFINITY]) {
+    const { random } = createRng(1);
+    results.push(await benchPile({ ...modules, random }, counter, size, maxBodies, options.frames));
+  }
+}
+
+if (options.json) {
+  console.log(JSON.stringify({ frames: options.frames, viewport: VIEWPORT, results }, null, 2));
+} else {
+  printTable(results, options.frames);
+}
@@ -0,0 +1,223 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { TimingGrade } from "../public/assets/game.js";
+import { createLootRoller, getOverchargeLoot } from "../public/assets/loot.js";
+import { createPity } from "../public/assets/pity.js";
+import { createRng, randomSeed } from "../public/assets/rng.js";
+import { RULESET_FIELDS, RULESET_IDS, getRuleset } from "../public/assets/rulesets.js";
+import { getRarityWeights, getTier, getTierCount, setTierTable } from "../public/assets/tiers.js";
+
+const TIER_TABLE_PATH = "public/assets/tiers.json";
+const DEFAULT_ROLLS = 100_000;
+const DEFAULT_DICE = [4, 6, 8, 10, 12, 20, 100];
+
+const TIMING_GRADES = Object.values(TimingGrade);
+const PRESET_IDS = RULESET_IDS.filter((id) => getRuleset(id).id === id);
+
+const USAGE = `Usage: bun run simulate:loot [--rolls N] [--dice 4,20,100] [--ruleset ${PRESET_IDS.join("|")}]
+                             [--stage 1-${RULESET_FIELDS.maxStage.max}] [--timing ${TIMING_GRADES.join("|")}]
+                             [--seed S] [--json]
+
+Simulates N fully ramped rolls per die: the d+stage roll (d+1 unless overcharged
+with --stage), a hit on any face above the die, the loot drop (with pity) on a hit
+and the consolation drop on a miss, under a ruleset's loot table and consolation
+odds (classic by default). --timing grades every release, for the hit bonus of a
+well-timed one. The pile tax of a top-stage miss is not counted.
+Bad-luck protection is active and starts from zero for each die.`;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      rolls: { type: "string" },
+      dice: { type: "string" },
+      ruleset: { type: "string" },
+      stage: { type: "string" },
+      timing: { type: "string" },
+      seed: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const rolls = values.rolls === undefined ? DEFAULT_ROLLS : Number(values.rolls);
+  if (!Number.isInteger(rolls) || rolls <= 0) {
+    console.error(`[simulate:loot] --rolls must be a positive integer (got ${values.rolls})`);
+    process.exit(1);
+  }
+
+  const dice = values.dice === undefined ? DEFAULT_DICE : values.dice.split(",").map(Number);
+  if (!dice.every((die) => Number.isInteger(die) && die > 0)) {
+    console.error(`[simulate:loot] --dice must be positive integers (got ${values.dice})`);
+    process.exit(1);
+  }
+
+  const rulesetId = values.ruleset ?? "classic";
+  if (!PRESET_IDS.includes(rulesetId)) {
+    console.error(
+      `[simulate:loot] --ruleset must be one of ${PRESET_IDS.join(", ")} (got ${rulesetId})`,
+    );
+    process.exit(1);
+  }
+  const ruleset = getRuleset(rulesetId);
+
+  const stage = values.stage === undefined ? 1 : Number(values.stage);
+  if (!Number.isInteger(stage) || stage < 1 || stage > ruleset.maxStage) {
+    console.error(
+      `[simulate:loot] --stage must be 1-${ruleset.maxStage} for ${rulesetId} (got ${values.stage})`,
+    );
+    process.exit(1);
+  }
+
+  const timing = values.timing ?? null;
+  if (timing !== null && !TIMING_GRADES.includes(timing)) {
+    console.error(
+      `[simulate:loot] --timing must be one of ${TIMING_GRADES.join(", ")} (got ${timing})`,
+    );
+    process.exit(1);
+  }
+
+  return { rolls, dice, ruleset, stage, timing, seed: values.seed, json: values.json };
+}
+
+function loadTierTable() {
+  const tablePath = path.resolve(process.cwd(), TIER_TABLE_PATH);
+  try {
+    setTierTable(JSON.parse(fs.readFileSync(tablePath, "utf8")));
+  } catch (error) {
+    console.error(`\n[simulate:loot] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Mirrors the game core's completeRoll: a ramped roll is d+stage, any face above
+// the die is a hit, and the top face is a crit
+function simulateDie(rng, die, rolls, stage, ruleset, timing) {
+  const { rollLootDrops, rollConsolationDrops } = createLootRoller({
+    random: rng.random,
+    pity: createPity(),
+  });
+  const tierCount = getTierCount();
+  const tierDrops = new Array(tierCount).fill(0);
+  let hits = 0;
+  let pityCount = 0;
+  let totalDrops = 0;
+  let totalPoints = 0;
+
+  for (let i = 0; i < rolls; i++) {
+    const result = rng.randomInt(1, die + stage);
+    let drops;
+
+    if (result > die) {
+      hits++;
+      const loot = rollLootDrops(die, result, stage, ruleset, timing, result === die + stage);
+      drops = loot.drops;
+      if (loot.pity) pityCount++;
+    } else {
+      drops = rollConsolationDrops(stage, ruleset);
+    }
+
+    for (const tier of drops) {
+      tierDrops[tier - 1]++;
+      totalPoints += getTier(tier).points;
+    }
+    totalDrops += drops.length;
+  }
+
+  return {
+    die,
+    rolls,
+    hitRate: hits / rolls,
+    pityRate: pityCount / rolls,
+    pityRatePerHit: hits > 0 ? pityCount / hits : 0,
+    pointsPerRoll: totalPoints / rolls,
+    dropsPerRoll: totalDrops / rolls,
+    tiers: tierDrops.map((count, index) => ({
+      tier: index + 1,
+      name: getTier(index + 1).name,
+      share: totalDrops > 0 ? count / totalDrops : 0,
+      weight:
+        getRarityWeights(die * getOverchargeLoot(stage).rarityDieScale * ruleset.rarityDieScale)[
+          index
+        ] / 100,
+    })),
+  };
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function printTable(results, { rolls, ruleset, stage, timing, seed }) {
+  const timingNote = timing ? `, ${timing} releases` : "";
+  console.log(
+    `[simulate:loot] ${rolls} ramped rolls per die at d+${stage}, ${ruleset.id} rules${timingNote}, seed ${seed}\n`,
+  );
+
+  const header = ["die", "hit rate", "pity/roll", "pity/hit", "drops/roll", "points/roll"];
+  const rows = results.map((r) => [
+    `d${r.die}`,
+    percent(r.hitRate),
+    percent(r.pityRate),
+    percent(r.pityRatePerHit),
+    r.dropsPerRoll.toFixed(2),
+    r.pointsPerRoll.toFixed(2),
+  ]);
+  printColumns(header, rows);
+
+  console.log("\nTier share of all drops (hits + consolation):\n");
+  const tierHeader = ["die", ...results[0].tiers.map((t) => t.name)];
+  const tierRows = results.map((r) => [`d${r.die}`, ...r.tiers.map((t) => percent(t.share))]);
+  printColumns(tierHeader, tierRows);
+}
+
+function printColumns(header, rows) {
+  const widths = header.map((cell, i) =>
+    Math.max(cell.length, ...rows.map((row) => row[i].length)),
+  );
+  const format = (row) => row.map((cell, i) => cell.padStart(widths[i])).join("  ");
+  console.log(format(header));
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  for (const row of rows) {
+    console.log(format(row));
+  }
+}
+
+const options = parseOptions();
+loadTierTable();
+const rng = createRng(options.seed ?? randomSeed());
+const seed = rng.getSeed();
+const results = options.dice.map((die) =>
+  simulateDie(rng, die, options.rolls, options.stage, options.ruleset, options.timing),
+);
+
+if (options.json) {
+  console.log(
+    JSON.stringify(
+      {
+        rolls: options.rolls,
+        ruleset: options.ruleset.id,
+        stage: options.stage,
+        timing: options.timing,
+        seed,
+        results,
+      },
+      null,
+      2,
+    ),
+  );
+} else {
+  printTable(results, {
+    rolls: options.rolls,
+    ruleset: options.ruleset,
+    stage: options.stage,
+    timing: options.timing,
+    seed,
+  });
+}
@@ -0,0 +1,41 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const PACKAGE_DIR = "node_modules/@dimforge/rapier2d-compat";
+const VENDOR_DIR = "public/assets/vendor";
+const VENDOR_FILE = "rapier2d-compat.js";
+const LICENSE_FILE = "rapier2d-compat.LICENSE";
+const SOURCE_MAP_COMMENT = /\n?\/\/# sourceMappingURL=.*\s*$/;
+
+// Copies the pinned Rapier build (the devDependency) into the /one artifact, so the
+// page never loads the engine from a CDN. Run after bumping the package version.
+function readPackage() {
+  const packagePath = path.resolve(process.cwd(), PACKAGE_DIR);
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(packagePath, "package.json"), "utf8"));
+    return {
+      version: manifest.version,
+      license: manifest.license,
+      source: fs.readFileSync(path.join(packagePath, manifest.module), "utf8"),
+      licenseText: fs.readFileSync(path.join(packagePath, "LICENSE"), "utf8"),
+    };
+  } catch (error) {
+    console.error(`\n[vendor:rapier] ${error.message} (run bun install first)`);
+    process.exit(1);
+  }
+}
+
+const { version, license, source, licenseText } = readPackage();
+const vendorPath = path.resolve(process.cwd(), VENDOR_DIR);
+const header = `/* @dimforge/rapier2d-compat ${version} (${license}, see ${LICENSE_FILE}) - copied by scripts/vendor-rapier.mjs, do not edit */\n`;
+
+fs.mkdirSync(vendorPath, { recursive: true });
+fs.writeFileSync(
+  path.join(vendorPath, VENDOR_FILE),
+  `${header}${source.replace(SOURCE_MAP_COMMENT, "")}\n`,
+);
+fs.writeFileSync(path.join(vendorPath, LICENSE_FILE), licenseText);
+
+console.log(
+  `[vendor:rapier] Copied @dimforge/rapier2d-compat ${version} to ${VENDOR_DIR}/${VENDOR_FILE}`,
+);
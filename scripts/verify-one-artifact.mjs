@@ -7,13 +7,35 @@ const DIST_ROOT = "dist";
 const REQUIRED_PUBLIC_FILES = [
   "public/one/index.html",
   "public/assets/app.js",
+  "public/assets/audio.js",
+  "public/assets/clock.js",
+  "public/assets/fidget.js",
   "public/assets/loot.js",
+  "public/assets/game.js",
+  "public/assets/gamepad.js",
+  "public/assets/history.js",
+  "public/assets/hooks.js",
+  "public/assets/notation.js",
   "public/assets/particles.js",
   "public/assets/physics.js",
+  "public/assets/physics-fallback.js",
+  "public/assets/physics-host.js",
+  "public/assets/physics-worker.js",
+  "public/assets/pity.js",
+  "public/assets/pool.js",
+  "public/assets/replay.js",
+  "public/assets/rulesets.js",
+  "public/assets/rng.js",
+  "public/assets/score.js",
+  "public/assets/shapes.js",
+  "public/assets/tiers.js",
+  "public/assets/tiers.json",
   "public/assets/shared.js",
   "public/assets/styles.css",
   "public/assets/fonts/outfit-regular.woff2",
   "public/assets/fonts/outfit-bold.woff2",
+  "public/assets/vendor/rapier2d-compat.js",
+  "public/assets/vendor/rapier2d-compat.LICENSE",
   "public/CNAME",
   "public/favicon.svg",
   "public/apple-touch-icon.png",
@@ -27,6 +49,34 @@ const REQUIRED_ONE_REFERENCES = [
   "../apple-touch-icon.png",
 ];
 
+// Runtime assets must all come from the artifact itself - no CDNs. In dist/ only the
+// copies of these public/ files are the artifact; Vite's hashed homepage bundle sits
+// beside them in dist/assets and is none of its business.
+const RUNTIME_ROOTS = ["one", "assets"];
+const RUNTIME_EXTENSIONS = new Set([".html", ".js", ".css"]);
+const REMOTE = String.raw`(?:https?:)?\/\/`;
+const REMOTE_PATTERNS = [
+  // JS: static and dynamic imports, fetches, workers and URL objects
+  new RegExp(String.raw`\bfrom\s*["'\x60]${REMOTE}`, "g"),
+  new RegExp(String.raw`\bimport\s*["'\x60]${REMOTE}`, "g"),
+  new RegExp(
+    String.raw`\b(?:import|fetch|Worker|SharedWorker|URL|importScripts)\(\s*["'\x60]${REMOTE}`,
+    "g",
+  ),
+  // HTML: anything with a src, and links the page loads (the canonical link is fine)
+  new RegExp(
+    String.raw`<(?:script|img|source|iframe|audio|video|embed|track)\b[^>]*\bsrc\s*=\s*["']?${REMOTE}`,
+    "gi",
+  ),
+  new RegExp(
+    String.raw`<link\b(?=[^>]*\brel\s*=\s*["']?(?:stylesheet|preload|modulepreload|prefetch|icon|apple-touch-icon|manifest)\b)[^>]*\bhref\s*=\s*["']?${REMOTE}`,
+    "gi",
+  ),
+  // CSS: url() and @import
+  new RegExp(String.raw`\burl\(\s*["']?${REMOTE}`, "gi"),
+  new RegExp(String.raw`@import\s+["']${REMOTE}`, "gi"),
+];
+
 function resolveLocalPath(filePath) {
   return path.resolve(process.cwd(), filePath);
 }
@@ -56,17 +106,66 @@ function assertHtmlReferences(filePath, requiredReferences, label) {
   }
 }
 
+function listRuntimeFiles(root) {
+  const files = [];
+  const walk = (directory) => {
+    for (const entry of fs.readdirSync(resolveLocalPath(directory), { withFileTypes: true })) {
+      const entryPath = `${directory}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (RUNTIME_EXTENSIONS.has(path.extname(entry.name))) {
+        files.push(entryPath);
+      }
+    }
+  };
+  for (const directory of RUNTIME_ROOTS) {
+    if (fs.existsSync(resolveLocalPath(`${root}/${directory}`))) {
+      walk(`${root}/${directory}`);
+    }
+  }
+  return files;
+}
+
+function lineOf(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+function assertNoRemoteAssets(files, label) {
+  const found = [];
+  for (const filePath of files) {
+    const text = fs.readFileSync(resolveLocalPath(filePath), "utf8");
+    for (const pattern of REMOTE_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        found.push(`${filePath}:${lineOf(text, match.index)} ${match[0].trim().slice(0, 80)}`);
+      }
+    }
+  }
+
+  if (found.length > 0) {
+    console.error(`\n[verify:one] Remote runtime assets in ${label} (bundle them instead):`);
+    for (const reference of found) {
+      console.error(`- ${reference}`);
+    }
+    process.exit(1);
+  }
+}
+
 function toDistPath(publicFilePath) {
   return publicFilePath.replace(new RegExp(`^${PUBLIC_ROOT}/`), `${DIST_ROOT}/`);
 }
 
 assertFilesExist(REQUIRED_PUBLIC_FILES, "public artifact files");
 assertHtmlReferences("public/one/index.html", REQUIRED_ONE_REFERENCES, "artifact");
+const runtimeFiles = listRuntimeFiles(PUBLIC_ROOT);
+assertNoRemoteAssets(runtimeFiles, "artifact");
 
 if (fs.existsSync(resolveLocalPath(DIST_ROOT))) {
   const requiredDistFiles = REQUIRED_PUBLIC_FILES.map(toDistPath);
   assertFilesExist(requiredDistFiles, "dist artifact files");
   assertHtmlReferences("dist/one/index.html", REQUIRED_ONE_REFERENCES, "dist artifact");
+  const distRuntimeFiles = runtimeFiles.map(toDistPath);
+  assertFilesExist(distRuntimeFiles, "dist artifact files");
+  assertNoRemoteAssets(distRuntimeFiles, "dist artifact");
 }
 
-console.log("[verify:one] OK - /one artifact files are present and linked.");
+console.log("[verify:one] OK - /one artifact files are present, linked and local.");
@@ -0,0 +1,253 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  CriticalRoll,
+  GameState,
+  HIT_RESOLUTION_MS,
+  MISS_RESOLUTION_MS,
+  TimingGrade,
+  createGame,
+} from "../public/assets/game.js";
+import { getRuleset } from "../public/assets/rulesets.js";
+import { createCallLog } from "./helpers.mjs";
+
+const CLASSIC = getRuleset("classic");
+
+// A core on a hand-driven clock, rolling whatever `rolls` says next
+function setup({ die = 4, rules = CLASSIC, rolls = [] } = {}) {
+  let time = 0;
+  const queue = [...rolls];
+  const game = createGame({
+    now: () => time,
+    random: () => {
+      assert.ok(queue.length > 0, "random() called more often than expected");
+      return queue.shift();
+    },
+    die,
+    rules,
+  });
+  const log = createCallLog();
+  for (const type of ["statechange", "overcharge", "timing", "roll", "loot"]) {
+    game.on(type, log.record(type));
+  }
+  const events = log.calls;
+  const transitions = () =>
+    events.filter(([type]) => type === "statechange").map(([, { from, to }]) => `${from}>${to}`);
+  return {
+    game,
+    events,
+    transitions,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
+
+// Random value that makes randomInt(1, max) come out as `face`
+const face = (value, max) => (value - 0.5) / max;
+
+describe("roll lifecycle", () => {
+  it("ramps, overcharges, rolls and resolves a hit", () => {
+    const { game, events, transitions } = setup({ rolls: [face(6, 6)] });
+
+    game.addEnergy();
+    assert.equal(game.getState(), GameState.RAMPING);
+
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    assert.equal(game.getState(), GameState.RAMPED);
+    assert.equal(game.getStage(), 1);
+    assert.equal(game.getRampedMax(), 5);
+
+    game.addEnergy(CLASSIC.overchargeStageMs);
+    assert.equal(game.getStage(), 2);
+    assert.equal(game.getRampedMax(), 6);
+    assert.deepEqual(events.at(-1), ["overcharge", { stage: 2, rampedMax: 6 }]);
+
+    // Drain the whole charge: the roll finishes but waits for the die animation
+    game.tick(10000);
+    assert.ok(game.hasPendingRoll());
+    assert.equal(game.getState(), GameState.RAMPED);
+
+    assert.equal(game.completeRoll(), true);
+    assert.equal(game.getState(), GameState.LOOT_RESOLUTION);
+    assert.equal(game.getLootResult(), "hit");
+    const [, roll] = events.find(([type]) => type === "roll");
+    assert.deepEqual(roll, {
+      die: 4,
+      effectiveMax: 6,
+      result: 6,
+      outcome: "hit",
+      critical: CriticalRoll.CRIT,
+      time: 0,
+    });
+    assert.deepEqual(events.at(-1), [
+      "loot",
+      { outcome: "hit", die: 4, result: 6, stage: 2, timing: null, critical: CriticalRoll.CRIT },
+    ]);
+
+    game.tick(HIT_RESOLUTION_MS);
+    assert.equal(game.getState(), GameState.IDLE);
+    assert.equal(game.getRampedMax(), null);
+    assert.equal(game.getStage(), 0);
+    assert.deepEqual(transitions(), [
+      "idle>ramping",
+      "ramping>ramped",
+      "ramped>loot_resolution",
+      "loot_resolution>idle",
+    ]);
+  });
+
+  it("resolves a ramped 1 as a fumbled miss that input can interrupt", () => {
+    const { game, events, transitions } = setup({ rolls: [face(1, 5)] });
+
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    game.tick(10000);
+    game.completeRoll();
+    assert.equal(game.getLootResult(), "miss");
+    assert.equal(events.at(-1)[1].critical, CriticalRoll.FUMBLE);
+    assert.equal(game.canAcceptInput(), true);
+
+    game.addEnergy();
+    assert.equal(game.getState(), GameState.RAMPING);
+    assert.equal(game.getLootResult(), null);
+    assert.deepEqual(transitions(), [
+      "idle>ramping",
+      "ramping>ramped",
+      "ramped>loot_resolution",
+      "loot_resolution>ramping",
+    ]);
+  });
+
+  it("crits on the top face at plain d+1", () => {
+    const { game, events } = setup({ rolls: [face(5, 5)] });
+
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    assert.equal(game.getStage(), 1);
+    game.tick(10000);
+    game.completeRoll();
+    assert.equal(game.getLootResult(), "hit");
+    assert.equal(events.at(-1)[1].critical, CriticalRoll.CRIT);
+  });
+
+  it("crits in chill, which never overcharges", () => {
+    const { game, events } = setup({ rules: getRuleset("chill"), rolls: [face(5, 5)] });
+
+    game.addEnergy(10000);
+    assert.equal(game.getStage(), 1);
+    game.tick(10000);
+    game.completeRoll();
+    assert.equal(events.at(-1)[1].critical, CriticalRoll.CRIT);
+  });
+
+  it("returns a miss to idle on its own", () => {
+    const { game } = setup({ rolls: [face(2, 5)] });
+
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    game.tick(10000);
+    game.completeRoll();
+    game.tick(MISS_RESOLUTION_MS - 1);
+    assert.equal(game.getState(), GameState.LOOT_RESOLUTION);
+    game.tick(1);
+    assert.equal(game.getState(), GameState.IDLE);
+  });
+
+  it("sends an unramped roll straight back to idle without loot", () => {
+    const { game, events, transitions } = setup({ rolls: [face(3, 4)] });
+
+    game.addEnergy();
+    game.tick(10000);
+    game.completeRoll();
+    assert.equal(game.getState(), GameState.IDLE);
+    assert.equal(events.at(-2)[1].outcome, null);
+    assert.ok(!events.some(([type]) => type === "loot"));
+    assert.deepEqual(transitions(), ["idle>ramping", "ramping>idle"]);
+  });
+
+  it("drains by the injected clock when tick() gets no step", () => {
+    const { game, advance } = setup();
+
+    game.addEnergy(1000);
+    advance(50);
+    game.tick();
+    const drained = 1000 - 50 * CLASSIC.releaseDrainRate;
+    assert.equal(game.getEnergyLevel(), drained / CLASSIC.maxEnergyMs);
+  });
+});
+
+describe("release timing", () => {
+  // No drain while held, so the bar stays full and only the window moves
+  const rules = { ...CLASSIC, holdDrainRate: 0 };
+
+  it("grades a release against the sweeping window", () => {
+    const { game, events } = setup({ rules });
+
+    game.setHolding(true);
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    game.setHolding(false);
+    assert.equal(game.getTiming(), TimingGrade.MISS);
+
+    // Half a sweep later the window sits at a full bar
+    game.setHolding(true);
+    assert.equal(game.getTiming(), null);
+    game.tick(800);
+    game.setHolding(false);
+    assert.equal(game.getTiming(), TimingGrade.PERFECT);
+    assert.deepEqual(events.at(-1), ["timing", { grade: "perfect", level: 1, center: 1 }]);
+  });
+});
+
+describe("rejected input", () => {
+  it("blocks input while a hit resolves", () => {
+    const { game, transitions } = setup({ rolls: [face(5, 5)] });
+
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    game.tick(10000);
+    game.completeRoll();
+    const before = transitions();
+
+    game.addEnergy();
+    assert.equal(game.selectDie(6), false);
+    assert.equal(game.getState(), GameState.LOOT_RESOLUTION);
+    assert.equal(game.getEnergyLevel(), 0);
+    assert.equal(game.getDie(), 4);
+    assert.deepEqual(transitions(), before);
+  });
+
+  it("refuses a roll that isn't finished", () => {
+    const { game } = setup();
+
+    assert.equal(game.completeRoll(), false);
+    game.addEnergy();
+    assert.equal(game.completeRoll(), false);
+    assert.equal(game.getState(), GameState.RAMPING);
+  });
+
+  it("refuses invalid and unchanged dice", () => {
+    const { game, transitions } = setup();
+
+    assert.equal(game.selectDie(4), false);
+    assert.equal(game.selectDie(1), false);
+    assert.equal(game.selectDie(2.5), false);
+    assert.deepEqual(transitions(), []);
+  });
+
+  it("drops a ramp back to ramping when the die changes", () => {
+    const { game, transitions } = setup();
+
+    game.addEnergy(CLASSIC.maxEnergyMs);
+    game.addEnergy(CLASSIC.overchargeStageMs);
+    assert.equal(game.getStage(), 2);
+    assert.equal(game.selectDie(6), true);
+    assert.equal(game.getState(), GameState.RAMPING);
+    assert.equal(game.getRampedMax(), null);
+    assert.equal(game.getStage(), 0);
+    assert.equal(game.getEnergyLevel(), 1);
+    assert.deepEqual(transitions(), ["idle>ramping", "ramping>ramped", "ramped>ramping"]);
+  });
+
+  it("throws on a bad die or an unknown event", () => {
+    assert.throws(() => createGame({ die: 1 }), /Invalid die size/);
+    const { game } = setup();
+    assert.throws(() => game.on("nope", () => {}), /Unknown game event/);
+  });
+});
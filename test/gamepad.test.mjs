@@ -0,0 +1,310 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { createGamepadInput } from "../public/assets/gamepad.js";
+import { createCallLog } from "./helpers.mjs";
+
+// Standard layout indices the module reads (see gamepad.js)
+const PRESS = 0;
+const LEFT_SHOULDER = 4;
+const DPAD_RIGHT = 15;
+const TRIGGER = 7;
+
+let connectedPads = [];
+
+// A pad in the Gamepad API's shape, with every button released
+function createPad(index, id = `pad ${index}`) {
+  const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+  return { index, id, buttons };
+}
+
+function setButton(pad, index, pressed) {
+  pad.buttons[index] = { pressed, value: pressed ? 1 : 0 };
+}
+
+// Analog trigger: `pressed` follows the value like it does in browsers
+function setTrigger(pad, value) {
+  pad.buttons[TRIGGER] = { pressed: value > 0, value };
+}
+
+function dispatch(type, pad) {
+  window.dispatchEvent(Object.assign(new Event(type), { gamepad: pad }));
+}
+
+function connect(pad) {
+  connectedPads[pad.index] = pad;
+  dispatch("gamepadconnected", pad);
+}
+
+function disconnect(pad) {
+  connectedPads[pad.index] = null;
+  dispatch("gamepaddisconnected", pad);
+}
+
+// Input with every callback logged in order; each assertion takes only what happened
+// since the last one
+function setup() {
+  const log = createCallLog();
+  const input = createGamepadInput({
+    onButtonDown: log.record("down"),
+    onButtonUp: log.record("up"),
+    onTrigger: log.record("trigger"),
+    onConnectionChange: (connected, pad) =>
+      log.record(connected ? "connected" : "disconnected")(pad),
+  });
+  return { input, take: log.take };
+}
+
+// A fresh window and pad list per test (each test file runs in its own process)
+beforeEach(() => {
+  connectedPads = [];
+  globalThis.window = new EventTarget();
+  Object.defineProperty(globalThis, "navigator", {
+    value: { getGamepads: () => connectedPads },
+    configurable: true,
+  });
+});
+
+describe("buttons", () => {
+  it("reports presses and releases once, on the edge", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    connect(pad);
+    take();
+
+    setButton(pad, PRESS, true);
+    input.poll();
+    input.poll();
+    assert.deepEqual(take(), [["down", "press"]]);
+
+    setButton(pad, PRESS, false);
+    input.poll();
+    input.poll();
+    assert.deepEqual(take(), [["up", "press"]]);
+  });
+
+  it("maps shoulders and the d-pad to prev and next", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    connect(pad);
+    take();
+
+    setButton(pad, LEFT_SHOULDER, true);
+    setButton(pad, DPAD_RIGHT, true);
+    input.poll();
+    assert.deepEqual(take(), [
+      ["down", "prev"],
+      ["down", "next"],
+    ]);
+  });
+
+  it("counts analog buttons as pressed only past half way", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    connect(pad);
+    take();
+
+    pad.buttons[PRESS] = { pressed: false, value: 0.5 };
+    input.poll();
+    assert.deepEqual(take(), []);
+
+    pad.buttons[PRESS] = { pressed: false, value: 0.6 };
+    input.poll();
+    assert.deepEqual(take(), [["down", "press"]]);
+  });
+
+  it("ignores pads until one connects", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    setButton(pad, PRESS, true);
+    connectedPads[0] = pad;
+
+    input.poll();
+    assert.equal(input.isConnected(), false);
+    assert.deepEqual(take(), []);
+  });
+
+  it("picks up a pad that was connected before it started", () => {
+    const pad = createPad(0);
+    connectedPads[0] = pad;
+    const { input, take } = setup();
+    assert.equal(input.isConnected(), true);
+
+    setButton(pad, PRESS, true);
+    input.poll();
+    assert.deepEqual(take(), [["down", "press"]]);
+  });
+});
+
+describe("trigger", () => {
+  it("reads values inside the deadzone as released", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    connect(pad);
+    take();
+
+    setTrigger(pad, 0.05);
+    input.poll();
+    assert.deepEqual(take(), []);
+
+    setTrigger(pad, 0.1);
+    input.poll();
+    setTrigger(pad, 0.05);
+    input.poll();
+    assert.deepEqual(take(), [
+      ["trigger", 0.1],
+      ["trigger", 0],
+    ]);
+  });
+
+  it("rounds to twentieths and reports only real changes", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    connect(pad);
+    take();
+
+    setTrigger(pad, 0.52);
+    input.poll();
+    setTrigger(pad, 0.51);
+    input.poll();
+    setTrigger(pad, 1);
+    input.poll();
+    input.poll();
+    assert.deepEqual(take(), [
+      ["trigger", 0.5],
+      ["trigger", 1],
+    ]);
+  });
+
+  it("doesn't count as a press", () => {
+    const { input, take } = setup();
+    const pad = createPad(0);
+    connect(pad);
+    take();
+
+    setTrigger(pad, 1);
+    input.poll();
+    assert.deepEqual(take(), [["trigger", 1]]);
+  });
+});
+
+describe("several pads", () => {
+  it("hears only the pad that pressed first until it lets go", () => {
+    const { input, take } = setup();
+    const first = createPad(0);
+    const second = createPad(1);
+    connect(first);
+    connect(second);
+    take();
+
+    setButton(first, PRESS, true);
+    input.poll();
+    setButton(second, PRESS, true);
+    input.poll();
+    setButton(second, PRESS, false);
+    input.poll();
+    assert.deepEqual(take(), [["down", "press"]]);
+
+    setButton(first, PRESS, false);
+    input.poll();
+    setButton(second, DPAD_RIGHT, true);
+    input.poll();
+    assert.deepEqual(take(), [
+      ["up", "press"],
+      ["down", "next"],
+    ]);
+  });
+
+  it("keeps a second pad's trigger off the first one's", () => {
+    const { input, take } = setup();
+    const first = createPad(0);
+    const second = createPad(1);
+    connect(first);
+    connect(second);
+    take();
+
+    setTrigger(first, 0.5);
+    input.poll();
+    setTrigger(second, 1);
+    input.poll();
+    setTrigger(first, 0);
+    input.poll();
+    // The second trigger was already pulled: it has to be pulled again to be heard
+    setTrigger(second, 0.9);
+    input.poll();
+    assert.deepEqual(take(), [
+      ["trigger", 0.5],
+      ["trigger", 0],
+    ]);
+  });
+
+  it("ignores a silent pad disconnecting while another is held", () => {
+    const { input, take } = setup();
+    const first = createPad(0);
+    const second = createPad(1);
+    connect(first);
+    connect(second);
+    setButton(first, PRESS, true);
+    setButton(second, LEFT_SHOULDER, true);
+    input.poll();
+    take();
+
+    disconnect(second);
+    assert.deepEqual(take(), [["disconnected", { index: 1, id: "pad 1" }]]);
+    input.poll();
+    assert.deepEqual(take(), []);
+  });
+});
+
+describe("disconnects", () => {
+  it("releases everything a disconnected pad held", () => {
+    const { input, take } = setup();
+    const pad = createPad(2, "Test Pad");
+    connect(pad);
+    assert.deepEqual(take(), [["connected", { index: 2, id: "Test Pad" }]]);
+    assert.equal(input.isConnected(), true);
+
+    setButton(pad, PRESS, true);
+    setButton(pad, LEFT_SHOULDER, true);
+    setTrigger(pad, 0.8);
+    input.poll();
+    take();
+
+    disconnect(pad);
+    assert.equal(input.isConnected(), false);
+    assert.deepEqual(take(), [
+      ["up", "press"],
+      ["up", "prev"],
+      ["trigger", 0],
+      ["disconnected", { index: 2, id: "Test Pad" }],
+    ]);
+
+    // Nothing is reported again on the next poll
+    input.poll();
+    assert.deepEqual(take(), []);
+  });
+
+  it("releases a pad that vanishes without a disconnect event", () => {
+    const { input, take } = setup();
+    const first = createPad(0);
+    const second = createPad(1);
+    connect(first);
+    connect(second);
+    setButton(first, PRESS, true);
+    setButton(second, DPAD_RIGHT, true);
+    input.poll();
+    take();
+
+    connectedPads[0] = null;
+    input.poll();
+    assert.deepEqual(take(), [["up", "press"]]);
+  });
+
+  it("stops listening once destroyed", () => {
+    const { input, take } = setup();
+    input.destroy();
+
+    connect(createPad(0));
+    assert.equal(input.isConnected(), false);
+    assert.deepEqual(take(), []);
+  });
+});
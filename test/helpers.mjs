@@ -0,0 +1,20 @@
+// Shared by the tests: a log of callback calls, in the order they happened
+
+/**
+ * Create a call log
+ * @returns {{calls: Array<[string, ...unknown[]]>, record: (name: string) => (...args: unknown[]) => void,
+ *   take: () => Array<[string, ...unknown[]]>}} record(name) makes a callback that logs
+ *   [name, ...args]; take() empties the log and returns what was in it
+ */
+export function createCallLog() {
+  const calls = [];
+  return {
+    calls,
+    record:
+      (name) =>
+      (...args) => {
+        calls.push([name, ...args]);
+      },
+    take: () => calls.splice(0),
+  };
+}